@@ -0,0 +1,73 @@
+'use strict';
+
+const { ConfigurationError, OverloadedError } = require('./errors');
+
+// Weight of the latest sample in the average time a map is held
+const SMOOTHING = 0.2;
+
+module.exports = createAdmission;
+
+// Decides whether a request may wait for a map of a pool or has to fail fast.
+// Options:
+//   - maxWaiting: requests allowed to wait for a map at once.
+//   - maxWait: budget in ms for the estimated wait, 0 disables it.
+function createAdmission ({ maxWaiting, maxWait = 0 }) {
+    if (!Number.isFinite(+maxWait) || +maxWait < 0) {
+        throw new ConfigurationError(`Invalid pool option poolMaxWait: ${maxWait}`);
+    }
+
+    return new Admission(+maxWaiting, +maxWait);
+}
+
+function Admission(maxWaiting, maxWait) {
+    this.maxWaiting = maxWaiting;
+    this.maxWait = maxWait;
+    // moving average of the time maps are held, unknown until a map goes back
+    this.holdTime = undefined;
+}
+
+Admission.prototype.record = function (duration) {
+    this.holdTime = typeof this.holdTime === 'undefined' ?
+        duration :
+        SMOOTHING * duration + (1 - SMOOTHING) * this.holdTime;
+};
+
+// Throws an overloaded error when the queue of the `priority` lane of `pool`
+// is full or its estimated wait is over the budget. Lanes are checked apart,
+// so low priority work piling up doesn't turn high priority requests away.
+Admission.prototype.admit = function (pool, priority = 'high') {
+    const waiting = pool.waiting(priority);
+
+    if (waiting >= this.maxWaiting) {
+        throw this.overloaded(pool, priority, `${waiting} ${priority} priority requests waiting for a map`);
+    }
+
+    const wait = this.estimateWait(pool, priority);
+
+    if (this.maxWait > 0 && wait > this.maxWait) {
+        throw this.overloaded(pool, priority, `estimated wait of ${wait}ms exceeds ${this.maxWait}ms`);
+    }
+};
+
+// Every time the lane's maps are taken by the requests ahead in the queue
+// they are busy for about the average hold time. There is no estimate before
+// any map is returned.
+Admission.prototype.estimateWait = function (pool, priority = 'high') {
+    const queued = pool.ahead(priority) - pool.free(priority) + 1;
+
+    if (typeof this.holdTime === 'undefined' || queued <= 0) {
+        return 0;
+    }
+
+    return Math.round(Math.ceil(queued / pool.capacity(priority)) * this.holdTime);
+};
+
+// `retryAfter` is the time in seconds for the queue ahead to drain, at least
+// one second.
+Admission.prototype.overloaded = function (pool, priority, reason) {
+    const drain = typeof this.holdTime === 'undefined' ?
+        0 :
+        (pool.ahead(priority) + 1) / pool.capacity(priority) * this.holdTime;
+
+    return new OverloadedError(`Map pool overloaded: ${reason}`, Math.max(1, Math.ceil(drain / 1000)));
+};
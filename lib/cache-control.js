@@ -0,0 +1,50 @@
+'use strict';
+
+const { ConfigurationError } = require('./errors');
+
+const RANGE = /^(\d+)(?:-(\d+))?$/;
+
+// Returns the `Cache-Control` header value of the tiles at a zoom level, if
+// any, from the `maxAge` option in seconds: a number for every zoom level or
+// an object with zoom levels (`'5'`) or ranges (`'0-8'`) as keys, e.g.
+// `{ '0-8': 86400, '9-22': 3600 }`. The first range containing a zoom level
+// wins, the ones in no range get no header.
+module.exports = function createCacheControl (maxAge) {
+    if (typeof maxAge === 'undefined' || maxAge === null) {
+        return () => undefined;
+    }
+
+    if (typeof maxAge !== 'object') {
+        const value = `max-age=${toSeconds(maxAge)}`;
+        return () => value;
+    }
+
+    const ranges = Object.keys(maxAge).map((range) => {
+        const match = RANGE.exec(range);
+
+        if (!match || (match[2] && +match[2] < +match[1])) {
+            throw new ConfigurationError(`Invalid cache option maxAge: ${range}`);
+        }
+
+        return {
+            minzoom: +match[1],
+            maxzoom: +(match[2] || match[1]),
+            value: `max-age=${toSeconds(maxAge[range])}`
+        };
+    });
+
+    return (z) => {
+        const range = ranges.find(({ minzoom, maxzoom }) => z >= minzoom && z <= maxzoom);
+        return range && range.value;
+    };
+};
+
+function toSeconds (value) {
+    const seconds = +value;
+
+    if (value === '' || !Number.isInteger(seconds) || seconds < 0) {
+        throw new ConfigurationError(`Invalid cache option maxAge: ${value}`);
+    }
+
+    return seconds;
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+// Errors carry a `code` to match on instead of the message and the HTTP
+// `status` servers should answer with. Errors without a status, like the ones
+// of Mapnik, are internal errors.
+class MapnikSourceError extends Error {
+    constructor (message, { code, status }) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Invalid coordinates or options of a request
+class InvalidRequestError extends MapnikSourceError {
+    constructor (message) {
+        super(message, { code: 'EINVALID', status: 400 });
+    }
+}
+
+// Tiles out of the tile matrix set, grids of styles without interactivity
+class NotFoundError extends MapnikSourceError {
+    constructor (message) {
+        super(message, { code: 'ENOTFOUND', status: 404 });
+    }
+}
+
+// Invalid URI options or style, the source can't be opened with them
+class ConfigurationError extends MapnikSourceError {
+    constructor (message) {
+        super(message, { code: 'ECONFIG', status: 500 });
+    }
+}
+
+// The source is closed or being updated
+class UnavailableError extends MapnikSourceError {
+    constructor (message) {
+        super(message, { code: 'EUNAVAILABLE', status: 503 });
+    }
+}
+
+// The map pool is too busy, `retryAfter` is a hint in seconds
+class OverloadedError extends MapnikSourceError {
+    constructor (message, retryAfter) {
+        super(message, { code: 'EOVERLOADED', status: 503 });
+        this.retryAfter = retryAfter;
+    }
+}
+
+class TimeoutError extends MapnikSourceError {
+    constructor (message) {
+        super(message, { code: 'ETIMEDOUT', status: 504 });
+    }
+}
+
+// HTTP status for any error, 500 for the ones without one
+function httpStatus (err) {
+    return (err && err.status) || 500;
+}
+
+module.exports = {
+    MapnikSourceError,
+    InvalidRequestError,
+    NotFoundError,
+    ConfigurationError,
+    UnavailableError,
+    OverloadedError,
+    TimeoutError,
+    httpStatus
+};
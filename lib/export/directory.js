@@ -0,0 +1,50 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const writeAtomically = require('../utils/write-atomically');
+const resolveFormat = require('../formats');
+
+const mkdir = promisify(fs.mkdir);
+
+// Export sink writing tiles as `{z}/{x}/{y}.{ext}` files under `options.path`,
+// grids as `{y}.grid.json`, and the TileJSON as `metadata.json` once done.
+function DirectorySink(options) {
+    if (!options || !options.path) {
+        throw new Error('Directory export requires a path');
+    }
+
+    this.path = path.resolve(options.path);
+}
+
+module.exports = DirectorySink;
+
+DirectorySink.prototype.putTile = function ({ format, z, x, y, image }, callback) {
+    const filename = this.filename({ format, z, x, y });
+    const data = Buffer.isBuffer(image) ? image : JSON.stringify(image);
+
+    mkdir(path.dirname(filename), { recursive: true })
+        .then(() => writeAtomically(filename, data))
+        .then(() => callback(), callback);
+};
+
+DirectorySink.prototype.hasTile = function (tile, callback) {
+    fs.access(this.filename(tile), (err) => callback(null, !err));
+};
+
+DirectorySink.prototype.close = function (info, callback) {
+    if (!info) {
+        return callback();
+    }
+
+    mkdir(this.path, { recursive: true })
+        .then(() => writeAtomically(path.join(this.path, 'metadata.json'), JSON.stringify(info, null, 2)))
+        .then(() => callback(), callback);
+};
+
+DirectorySink.prototype.filename = function ({ format, z, x, y }) {
+    const { extension } = resolveFormat(format);
+
+    return path.join(this.path, String(z), String(x), `${y}.${extension}`);
+};
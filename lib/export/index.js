@@ -0,0 +1,101 @@
+'use strict';
+
+const DirectorySink = require('./directory');
+const resolveFormat = require('../formats');
+const { interactivityLayers } = require('../utfgrid');
+const { InvalidRequestError, ConfigurationError } = require('../errors');
+
+const TYPES = [ 'directory', 'mbtiles' ];
+
+// Seeds a bbox and zoom range of `source` into a `{z}/{x}/{y}` directory tree
+// or an MBTiles file. Grids are exported too when the style has interactivity.
+// Options:
+//   - type: 'directory' or 'mbtiles', defaults to 'mbtiles' for paths ending
+//     in `.mbtiles`.
+//   - path: directory or file to write.
+//   - bbox, minzoom, maxzoom, concurrency, priority: see `seed()`.
+//   - resume: skip the metatiles exported by a previous, interrupted, run.
+// Returns the seeder to follow the progress or abort the export, calls back
+// with the seeding stats once the output is closed.
+module.exports = function exportTiles (source, options, callback) {
+    const info = Object.assign({}, source._info);
+    let sink;
+
+    try {
+        sink = createSink(options, source);
+    } catch (err) {
+        return setImmediate(() => callback(err));
+    }
+
+    const formats = [ source._format || 'png' ];
+
+    if (Object.keys(interactivityLayers(info)).length > 0) {
+        formats.push('utf');
+    }
+
+    const seeder = source.seed({
+        bbox: options.bbox,
+        minzoom: isDefined(options.minzoom) ? options.minzoom : info.minzoom,
+        maxzoom: isDefined(options.maxzoom) ? options.maxzoom : info.maxzoom,
+        concurrency: options.concurrency,
+        priority: options.priority,
+        resume: options.resume,
+        formats
+    }, sink);
+
+    seeder.on('error', (err) => sink.close(undefined, () => callback(err)));
+    seeder.on('end', (stats) => {
+        const metadata = Object.assign(info, {
+            minzoom: seeder.options.minzoom,
+            maxzoom: seeder.options.maxzoom
+        });
+
+        if (seeder.options.bbox && source._tileMatrixSet.name === 'EPSG:3857') {
+            metadata.bounds = seeder.options.bbox;
+            metadata.center = [ (metadata.bounds[0] + metadata.bounds[2]) / 2, (metadata.bounds[1] + metadata.bounds[3]) / 2, metadata.minzoom ];
+        }
+
+        // aborted exports are resumed later, the metadata is written then
+        sink.close(stats.aborted ? undefined : metadata, (err) => callback(err, stats));
+    });
+
+    return seeder;
+};
+
+function createSink (options = {}, source) {
+    const type = options.type || (/\.mbtiles$/.test(options.path) ? 'mbtiles' : 'directory');
+
+    if (!TYPES.includes(type)) {
+        throw new InvalidRequestError(`Invalid export option type: ${type}`);
+    }
+
+    if (type === 'mbtiles') {
+        // fail before rendering, the sink only stores gzip, see mbtiles.js
+        if (resolveFormat(source._format || 'png').kind === 'vector' && source._uri.query.vectorCompression === 'br') {
+            throw new InvalidRequestError('MBTiles export requires gzip compressed vector tiles, not br');
+        }
+
+        const MBTilesSink = loadMBTilesSink();
+        return new MBTilesSink({ path: options.path, tileMatrixSet: source._tileMatrixSet });
+    }
+
+    return new DirectorySink({ path: options.path });
+}
+
+// Only loaded when needed: sqlite3 is a native module and an optional
+// dependency.
+function loadMBTilesSink () {
+    try {
+        return require('./mbtiles');
+    } catch (err) {
+        if (err.code === 'MODULE_NOT_FOUND' && /'sqlite3'/.test(err.message)) {
+            throw new ConfigurationError('MBTiles export requires the sqlite3 module, install it with `npm install sqlite3`');
+        }
+
+        throw err;
+    }
+}
+
+function isDefined (value) {
+    return typeof value !== 'undefined' && value !== null;
+}
@@ -0,0 +1,139 @@
+'use strict';
+
+const zlib = require('zlib');
+const sqlite3 = require('sqlite3');
+const resolveFormat = require('../formats');
+const { InvalidRequestError } = require('../errors');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS metadata (name TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE IF NOT EXISTS tiles (
+        zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB,
+        PRIMARY KEY (zoom_level, tile_column, tile_row)
+    );
+    CREATE TABLE IF NOT EXISTS grids (
+        zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, grid BLOB,
+        PRIMARY KEY (zoom_level, tile_column, tile_row)
+    );
+    CREATE TABLE IF NOT EXISTS grid_data (
+        zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, key_name TEXT, key_json TEXT,
+        PRIMARY KEY (zoom_level, tile_column, tile_row, key_name)
+    );
+`;
+
+// TileJSON properties copied to the metadata table as they are
+const METADATA = [ 'name', 'description', 'attribution', 'version', 'type', 'legend', 'template' ];
+
+// Export sink writing an MBTiles 1.3 file at `options.path`. Rows are flipped
+// to the TMS scheme using `options.tileMatrixSet`. Grids go to the `grids` and
+// `grid_data` tables of the UTFGrid extension, and the metadata table is
+// filled from the TileJSON once done. Existing files are updated in place.
+// Vector tiles are stored compressed with gzip, as MBTiles readers expect.
+function MBTilesSink(options) {
+    if (!options || !options.path) {
+        throw new Error('MBTiles export requires a path');
+    }
+
+    this.tileMatrixSet = options.tileMatrixSet;
+    this.ready = new Promise((resolve, reject) => {
+        this.db = new sqlite3.Database(options.path, (err) => err ? reject(err) : resolve());
+    })
+    .then(() => this.exec(SCHEMA));
+}
+
+module.exports = MBTilesSink;
+
+MBTilesSink.prototype.putTile = function ({ format, z, x, y, image, headers = {} }, callback) {
+    const row = this.row(z, y);
+
+    this.ready
+        .then(() => {
+            if (format !== 'utf') {
+                return this.run('INSERT OR REPLACE INTO tiles VALUES (?, ?, ?, ?)', [ z, x, row, tileData(format, image, headers) ]);
+            }
+
+            const grid = zlib.deflateSync(JSON.stringify({ grid: image.grid, keys: image.keys }));
+            const data = image.data || {};
+
+            return Promise.all([
+                this.run('INSERT OR REPLACE INTO grids VALUES (?, ?, ?, ?)', [ z, x, row, grid ]),
+                ...Object.keys(data).map((key) => {
+                    return this.run('INSERT OR REPLACE INTO grid_data VALUES (?, ?, ?, ?, ?)', [ z, x, row, key, JSON.stringify(data[key]) ]);
+                })
+            ]);
+        })
+        .then(() => callback(), callback);
+};
+
+MBTilesSink.prototype.hasTile = function ({ format, z, x, y }, callback) {
+    const table = format === 'utf' ? 'grids' : 'tiles';
+
+    this.ready
+        .then(() => this.get(`SELECT 1 FROM ${table} WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?`, [ z, x, this.row(z, y) ]))
+        .then((found) => callback(null, !!found), callback);
+};
+
+// Writes the metadata, when given, and closes the file
+MBTilesSink.prototype.close = function (info, callback) {
+    this.ready
+        .then(() => info && Promise.all(Object.entries(metadata(info)).map(([ name, value ]) => {
+            return this.run('INSERT OR REPLACE INTO metadata VALUES (?, ?)', [ name, value ]);
+        })))
+        .then(() => new Promise((resolve, reject) => this.db.close((err) => err ? reject(err) : resolve())))
+        .then(() => callback(), callback);
+};
+
+MBTilesSink.prototype.row = function (z, y) {
+    return this.tileMatrixSet.matrixSize(z).height - 1 - y;
+};
+
+MBTilesSink.prototype.exec = function (sql) {
+    return new Promise((resolve, reject) => this.db.exec(sql, (err) => err ? reject(err) : resolve()));
+};
+
+MBTilesSink.prototype.run = function (sql, params) {
+    return new Promise((resolve, reject) => this.db.run(sql, params, (err) => err ? reject(err) : resolve()));
+};
+
+MBTilesSink.prototype.get = function (sql, params) {
+    return new Promise((resolve, reject) => this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row)));
+};
+
+function tileData (format, image, headers) {
+    const encoding = headers['Content-Encoding'];
+
+    if (resolveFormat(format).kind !== 'vector' || encoding === 'gzip') {
+        return image;
+    }
+
+    if (encoding) {
+        throw new InvalidRequestError(`MBTiles export requires gzip compressed vector tiles, not ${encoding}`);
+    }
+
+    return zlib.gzipSync(image);
+}
+
+function metadata (info) {
+    const rows = {
+        format: resolveFormat(info.format).extension,
+        bounds: info.bounds.join(','),
+        center: info.center.join(','),
+        minzoom: String(info.minzoom),
+        maxzoom: String(info.maxzoom)
+    };
+
+    METADATA.forEach((name) => {
+        if (info[name] !== undefined && info[name] !== null) {
+            rows[name] = String(info[name]);
+        }
+    });
+
+    rows.name = rows.name || 'tilelive-mapnik';
+    rows.type = rows.type || 'overlay';
+
+    if (rows.format === 'pbf') {
+        rows.json = JSON.stringify({ vector_layers: info.vector_layers });
+    }
+
+    return rows;
+}
@@ -0,0 +1,30 @@
+'use strict';
+
+const { InvalidRequestError } = require('./errors');
+
+// Formats use the Mapnik syntax: a name, optionally followed by encoding
+// options, like `png8:m=h`, `jpeg80` or `webp:quality=80`.
+//   - type: MIME type of the encoded tiles.
+//   - extension: file extension, also the MBTiles `format`.
+//   - kind: 'image', 'vector' for Mapbox Vector Tiles or 'grid' for UTFGrids.
+const FORMATS = [
+    { name: /^png(8|24|32|256)?$/, type: 'image/png', extension: 'png', kind: 'image' },
+    { name: /^jpeg(\d{1,3})?$/, type: 'image/jpeg', extension: 'jpg', kind: 'image' },
+    { name: /^webp$/, type: 'image/webp', extension: 'webp', kind: 'image' },
+    { name: /^tiff?$/, type: 'image/tiff', extension: 'tiff', kind: 'image' },
+    { name: /^(mvt|pbf)$/, type: 'application/x-protobuf', extension: 'pbf', kind: 'vector' },
+    { name: /^utf$/, type: 'application/json', extension: 'grid.json', kind: 'grid' }
+];
+
+// Returns `{ format, type, extension, kind }` for a format string, throws for
+// the ones Mapnik can't encode.
+module.exports = function resolveFormat (format) {
+    const name = typeof format === 'string' ? format.split(':')[0] : '';
+    const resolved = FORMATS.find((candidate) => candidate.name.test(name));
+
+    if (!resolved) {
+        throw new InvalidRequestError(`Invalid format: ${format}`);
+    }
+
+    return { format, type: resolved.type, extension: resolved.extension, kind: resolved.kind };
+};
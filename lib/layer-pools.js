@@ -0,0 +1,158 @@
+'use strict';
+
+const { ConfigurationError } = require('./errors');
+
+module.exports = createLayerPools;
+
+// Pools of the maps rendering a subset of the style layers, one per subset
+// requested. `create(active)` creates the map pool of the `active` layers. Up
+// to `max` of them are kept, the least recently used one is drained and
+// destroyed when another subset is requested.
+function createLayerPools (max, create) {
+    if (!Number.isInteger(+max) || +max < 1) {
+        throw new ConfigurationError(`Invalid pool option poolLayerSubsets: ${max}`);
+    }
+
+    return new LayerPools(+max, create);
+}
+
+function LayerPools(max, create) {
+    this.max = max;
+    this.create = create;
+    // subset pools by their active layers, in least recently used order
+    this.pools = new Map();
+}
+
+// The pool of the `active` layers, lending its maps against the ones of
+// `mapPool`, the pool of the style
+LayerPools.prototype.get = function (active, mapPool) {
+    const key = JSON.stringify(active);
+    let pool = this.pools.get(key);
+
+    if (pool) {
+        this.pools.delete(key);
+    } else {
+        pool = new SubsetPool(this.create(active), mapPool);
+    }
+
+    this.pools.set(key, pool);
+
+    if (this.pools.size > this.max) {
+        const [ [ evicted, lru ] ] = this.pools;
+
+        this.pools.delete(evicted);
+        lru.retire();
+    }
+
+    return pool;
+};
+
+LayerPools.prototype.destroy = function () {
+    const pools = Array.from(this.pools.values());
+
+    this.pools.clear();
+
+    return Promise.all(pools.map((pool) => pool.retire()));
+};
+
+// Every map lent by a subset pool holds a map of the style pool, its slot, so
+// renders of every subset wait in the lanes of the style pool and count
+// against its `poolSize`, admission and counters. Slots that are errors
+// resolved by the pool factory are handed as they are to be released.
+function SubsetPool(pool, mapPool) {
+    this.pool = pool;
+    this.mapPool = mapPool;
+    this.slots = new WeakMap();
+    // acquisitions holding a slot that haven't asked the subset pool yet
+    this.entering = 0;
+    this.entered = undefined;
+    this.retired = undefined;
+}
+
+SubsetPool.prototype.acquire = function (priority) {
+    this.entering++;
+
+    return this.mapPool.acquire(priority)
+        .then((slot) => {
+            if (slot instanceof Error) {
+                this._entered();
+                return slot;
+            }
+
+            const acquisition = this.pool.acquire(priority);
+
+            this._entered();
+
+            return acquisition.then((map) => {
+                this.slots.set(map, slot);
+                return map;
+            }, (err) => {
+                this.mapPool.release(slot);
+                throw err;
+            });
+        }, (err) => {
+            this._entered();
+            throw err;
+        });
+};
+
+SubsetPool.prototype.release = function (map) {
+    return this._return(map, 'release');
+};
+
+SubsetPool.prototype.destroy = function (map) {
+    return this._return(map, 'destroy');
+};
+
+SubsetPool.prototype._return = function (map, method) {
+    if (!this.slots.has(map)) {
+        return this.mapPool.release(map);
+    }
+
+    const slot = this.slots.get(map);
+
+    this.slots.delete(map);
+
+    return Promise.all([ this.pool[method](map), this.mapPool.release(slot) ]);
+};
+
+// Drains and destroys the maps of the subset. Acquisitions that already wait
+// for a slot get their map before the pool drains.
+SubsetPool.prototype.retire = function () {
+    if (!this.retired) {
+        const entered = this.entering === 0 ?
+            Promise.resolve() :
+            new Promise((resolve) => {
+                this.entered = resolve;
+            });
+
+        this.retired = entered
+            .then(() => this.pool.drain())
+            .then(() => this.pool.clear());
+    }
+
+    return this.retired;
+};
+
+SubsetPool.prototype._entered = function () {
+    this.entering--;
+
+    if (this.entering === 0 && this.entered) {
+        this.entered();
+        this.entered = undefined;
+    }
+};
+
+[ 'waiting', 'ahead', 'capacity', 'free' ].forEach((method) => {
+    SubsetPool.prototype[method] = function (priority) {
+        return this.mapPool[method](priority);
+    };
+});
+
+[ 'size', 'available', 'borrowed', 'pending', 'max', 'min', 'reserved' ].forEach((counter) => {
+    Object.defineProperty(SubsetPool.prototype, counter, {
+        get () {
+            return this.mapPool[counter];
+        }
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const { InvalidRequestError } = require('./errors');
+
+// Mapnik can't turn the layers of a loaded map on or off, so rendering a subset
+// of the layers needs maps loaded from a style whose other layers have
+// `status="off"`.
+const LAYER_TAG = /<Layer\b[^>]*>/g;
+const NAME_ATTRIBUTE = /\sname\s*=\s*(?:"([^"]*)"|'([^']*)')/;
+const STATUS_ATTRIBUTE = /\sstatus\s*=\s*(?:"[^"]*"|'[^']*')/;
+
+module.exports = {
+    layerNames,
+    selectLayers,
+    disableLayers
+};
+
+// Names of the layers of a Mapnik XML style, in drawing order
+function layerNames (xml) {
+    return (xml.match(LAYER_TAG) || [])
+        .map(nameOf)
+        .filter((name) => typeof name !== 'undefined');
+}
+
+// Returns the `names` rendered with the `layers` (include) and `excludeLayers`
+// options, or undefined when both are missing and every layer is rendered.
+function selectLayers (names, { layers, excludeLayers } = {}) {
+    if (!layers && !excludeLayers) {
+        return undefined;
+    }
+
+    const unknown = [].concat(layers || [], excludeLayers || []).filter((layer) => !names.includes(layer));
+
+    if (unknown.length > 0) {
+        throw new InvalidRequestError(`Unknown layer: ${unknown.join(',')}`);
+    }
+
+    return names.filter((name) => (!layers || layers.includes(name)) && !(excludeLayers || []).includes(name));
+}
+
+// Turns off the layers of `xml` that are not in `active`. Layers turned off by
+// the style stay off.
+function disableLayers (xml, active) {
+    return xml.replace(LAYER_TAG, (tag) => {
+        const name = nameOf(tag);
+
+        if (typeof name === 'undefined' || active.includes(name)) {
+            return tag;
+        }
+
+        return tag.replace(STATUS_ATTRIBUTE, '').replace(/^<Layer\b/, '<Layer status="off"');
+    });
+}
+
+function nameOf (tag) {
+    const match = NAME_ATTRIBUTE.exec(tag);
+
+    if (!match) {
+        return undefined;
+    }
+
+    return unescape(typeof match[1] !== 'undefined' ? match[1] : match[2]);
+}
+
+function unescape (value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
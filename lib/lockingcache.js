@@ -22,9 +22,24 @@ function LockingCache(generate, options) {
     // This option is useful when using metatile > 1 because you can evict results
     // put here because of metatiling with a timeout and remove the ones that get a hit
     this.deleteOnHit = options.deleteOnHit || false;
+
+    // Upper bounds for the generated results kept in the cache, the least
+    // recently used ones are evicted first. A value of 0 means no limit.
+    // Sizes are measured from the Buffers of the results (e.g. encoded tiles).
+    this.maxEntries = options.maxEntries || 0;
+    this.maxBytes = options.maxBytes || 0;
+
+    // Generated results by id, in least recently used order, with their size
+    this.entries = new Map();
+    this.bytes = 0;
+
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
 }
 
-LockingCache.prototype.get = function(id, callback) {
+// `context` is handed to the generator when the item has to be generated
+LockingCache.prototype.get = function(id, callback, context) {
     if (!this.callbacks[id]) {
         this.callbacks[id] = [];
     }
@@ -32,9 +47,12 @@ LockingCache.prototype.get = function(id, callback) {
     this.callbacks[id].push(callback);
 
     if (this.results[id]) {
+        this.hits++;
+        this.touch(id);
         this.trigger(id);
     } else {
-        var ids = this.generate.call(this, id);
+        this.misses++;
+        var ids = this.generate.call(this, id, context);
         if (!ids || ids.indexOf(id) < 0) {
             this.put(id, new Error("Generator didn't generate this item"));
         } else {
@@ -49,6 +67,11 @@ LockingCache.prototype.del = function(id) {
     delete this.results[id];
     delete this.callbacks[id];
 
+    if (this.entries.has(id)) {
+        this.bytes -= this.entries.get(id);
+        this.entries.delete(id);
+    }
+
     if (this.timeouts[id]) {
         clearTimeout(this.timeouts[id]);
         delete this.timeouts[id];
@@ -61,16 +84,83 @@ LockingCache.prototype.put = function(id) {
     }
 
     this.results[id] = Array.prototype.slice.call(arguments, 1);
+    this.track(id, this.results[id]);
 
     if (this.callbacks[id] && this.callbacks[id].length) {
         this.trigger(id);
     }
+
+    this.evict();
+};
+
+LockingCache.prototype.track = function(id, data) {
+    var size = data.reduce(function(size, value) {
+        return size + (Buffer.isBuffer(value) ? value.length : 0);
+    }, 0);
+
+    if (this.entries.has(id)) {
+        this.bytes -= this.entries.get(id);
+        this.entries.delete(id);
+    }
+
+    this.entries.set(id, size);
+    this.bytes += size;
+};
+
+// Mark a generated result as the most recently used one
+LockingCache.prototype.touch = function(id) {
+    if (this.entries.has(id)) {
+        var size = this.entries.get(id);
+        this.entries.delete(id);
+        this.entries.set(id, size);
+    }
+};
+
+// Only generated results can be evicted, ids still being generated are kept
+LockingCache.prototype.evict = function() {
+    while (this.entries.size > 0 &&
+        ((this.maxEntries > 0 && this.entries.size > this.maxEntries) ||
+        (this.maxBytes > 0 && this.bytes > this.maxBytes))) {
+        this.del(this.entries.keys().next().value);
+        this.evictions++;
+    }
+};
+
+LockingCache.prototype.getStats = function() {
+    return {
+        hits: this.hits,
+        misses: this.misses,
+        evictions: this.evictions,
+        entries: this.entries.size,
+        bytes: this.bytes
+    };
+};
+
+// Forgets about the given ids, even if they are still being generated, and
+// calls back whoever was waiting for them with `err`. Next get() for any of
+// them will generate it again.
+LockingCache.prototype.purge = function(ids, err) {
+    var callbacks = ids.map(function(id) {
+        var idCallbacks = this.callbacks[id] || [];
+        this.del(id);
+        return idCallbacks;
+    }, this);
+
+    callbacks.forEach(function(idCallbacks) {
+        idCallbacks.forEach(function(callback) {
+            callback(err);
+        });
+    });
 };
 
 LockingCache.prototype.clear = function() {
     for (var id in this.timeouts) {
         this.del(id);
     }
+
+    Array.from(this.entries.keys()).forEach(function(id) {
+        this.del(id);
+    }, this);
 };
 
 LockingCache.prototype.trigger = function(id) {
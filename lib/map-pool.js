@@ -2,22 +2,70 @@
 
 const Pool = require("generic-pool");
 const mapnik = require('@carto/mapnik');
+const { PRIORITIES, createPriorityPool } = require('./priority-pool');
+const { ConfigurationError } = require('./errors');
+
+const LIFECYCLE_OPTIONS = [ 'poolMin', 'poolMaxRenders', 'poolMaxAge', 'poolIdleTimeout', 'poolEvictionInterval' ];
+
+// Creation time and renders of every map, errors resolved by `mapCreate`
+// aren't tracked
+const usage = new WeakMap();
 
 // Create a new mapnik map object at `this.mapnik`. Requires that the mapfile
 // be localized with `this.localize()`. This can be called in repetition because
 // it won't recreate `this.mapnik`.
-module.exports = function createMapPool (uri, xml) {
+// Lifecycle of the maps, from the URI options:
+//   - poolMin: maps created up front and kept while idle, `min` overrides it.
+//   - poolMaxRenders, poolMaxAge: maps are recycled, destroyed and created
+//     again, when acquired after that many renders, counted with
+//     `countRender()`, or ms. 0 keeps them.
+//   - poolIdleTimeout: maps idle for that many ms, beyond `poolMin`, are
+//     destroyed. They are checked every `poolEvictionInterval` ms.
+module.exports = createMapPool;
+module.exports.countRender = countRender;
+
+function createMapPool (uri, xml, { min = uri.query.poolMin } = {}) {
+    LIFECYCLE_OPTIONS.forEach((name) => {
+        if (!Number.isInteger(uri.query[name]) || uri.query[name] < 0) {
+            throw new ConfigurationError(`Invalid pool option ${name}: ${uri.query[name]}`);
+        }
+    });
+
+    if (min > uri.query.poolSize) {
+        throw new ConfigurationError(`Invalid pool option poolMin: ${min}`);
+    }
+
+    const { poolMaxRenders, poolMaxAge, poolIdleTimeout, poolEvictionInterval } = uri.query;
+
     const factory = {
         create: mapCreateFn(uri, xml),
-        destroy : mapDestroyFn()
+        destroy : mapDestroyFn(),
+        validate: mapValidateFn({ poolMaxRenders, poolMaxAge })
     };
     const options = {
         max: uri.query.poolSize,
-        maxWaitingClients: uri.query.poolMaxWaitingClients
+        min,
+        priorityRange: PRIORITIES.length,
+        // waiting requests are limited per lane by the admission instead of
+        // `maxWaitingClients`, see admission.js
+        testOnBorrow: poolMaxRenders > 0 || poolMaxAge > 0,
+        // `poolMin` maps are never evicted
+        softIdleTimeoutMillis: poolIdleTimeout,
+        idleTimeoutMillis: Infinity,
+        evictionRunIntervalMillis: poolIdleTimeout > 0 ? poolEvictionInterval : 0,
+        numTestsPerEvictionRun: uri.query.poolSize
     };
 
-    return Pool.createPool(factory, options);
-};
+    return createPriorityPool(Pool.createPool(factory, options), uri.query.poolReserved);
+}
+
+// Called once a map has rendered, acquisitions that don't render, like opening
+// the source or querying features, don't count.
+function countRender (map) {
+    if (usage.has(map)) {
+        usage.get(map).renders++;
+    }
+}
 
 function mapCreateFn (uri, xml) {
 
@@ -42,6 +90,8 @@ function mapCreateFn (uri, xml) {
                         return resolve(err)
                     }
 
+                    usage.set(map, { created: Date.now(), renders: 0 });
+
                     return resolve(map);
                 });
             } catch (err) {
@@ -54,6 +104,12 @@ function mapCreateFn (uri, xml) {
 function mapDestroyFn () {
     return function mapDestroy (map) {
         return new Promise((resolve) => {
+            // Free styles, layers and their datasources right away instead of
+            // waiting for the garbage collector
+            if (map instanceof mapnik.Map) {
+                map.clear();
+            }
+
             // see: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Errors/Delete_in_strict_mode
             map = null;
 
@@ -61,3 +117,20 @@ function mapDestroyFn () {
         });
     };
 }
+
+// Runs when a map is acquired, returning false destroys it and the pool hands
+// a fresh one. Errors resolved by `mapCreate` aren't tracked and stay valid.
+function mapValidateFn ({ poolMaxRenders, poolMaxAge }) {
+    return function mapValidate (map) {
+        const stats = usage.get(map);
+
+        if (!stats) {
+            return Promise.resolve(true);
+        }
+
+        const expired = (poolMaxRenders > 0 && stats.renders >= poolMaxRenders) ||
+            (poolMaxAge > 0 && Date.now() - stats.created >= poolMaxAge);
+
+        return Promise.resolve(!expired);
+    };
+}
@@ -3,138 +3,787 @@
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const util = require('util');
+const EventEmitter = require('events');
 const mapnik = require('@carto/mapnik');
 const normalizeURI = require('./uri');
 const createMetatileCache = require('./metatile-cache');
+const createSeeder = require('./seeder');
+const createReadStream = require('./read-stream');
 const createMapPool = require('./map-pool');
+const { countRender } = createMapPool;
+const createLayerPools = require('./layer-pools');
+const { normalizePriority } = require('./priority-pool');
+const createAdmission = require('./admission');
+const createTileMatrixSet = require('./tile-matrix-set');
+const FilesystemStorage = require('./storage/filesystem');
+const exportTiles = require('./export');
+const createTileJSON = require('./tilejson');
+const normalizeStaticOptions = require('./static-image');
+const normalizeQueryOptions = require('./query-point');
+const createCacheControl = require('./cache-control');
+const resolveFormat = require('./formats');
+const { layerNames, selectLayers, disableLayers } = require('./layers');
+const { normalizeTileOptions, normalizeGridOptions } = require('./render-options');
+const { selectInteractivityLayers, mergeGrids } = require('./utfgrid');
 const areValidCoords = require('./utils/coords');
+const { createKey } = require('./utils/cache-key');
 const timeoutDecorator = require('./utils/timeout-decorator');
 const headers = require('./utils/headers');
-const mime = require('mime');
+const etag = require('./utils/etag');
+const { assertCompression, compress } = require('./utils/compression');
+const errors = require('./errors');
+const { ConfigurationError, InvalidRequestError, UnavailableError } = errors;
 
 mapnik.register_default_input_plugins();
 
+// Default extent of vector tiles, buffer sizes are given in pixels so they
+// need to be scaled to this extent.
+const VECTOR_TILE_EXTENT = 4096;
+
+// Solid colour buffers kept, the least recently used ones are dropped first.
+// Rasters and gradients can have many colours, empty tiles only one.
+const SOLID_TILES = 64;
+
+// Emits:
+//   - render:start, render:end: rendering a metatile or a static image
+//   - encode: encoding a tile
+//   - cache:hit, cache:miss: serving a tile from the metatile cache or not
+//   - pool:acquire: getting a map from the pool, with the time spent waiting
+//   - error: a request failed, or releasing the previous style after an
+//     `update()` did, only when there are listeners for it
 function MapnikSource(uri, callback) {
+    EventEmitter.call(this);
+
     this.open = false;
 
-    this._uri = normalizeURI(uri);
+    try {
+        this._uri = normalizeURI(uri);
+        this._tileMatrixSet = createTileMatrixSet(this._uri.query.tileMatrixSet);
+        this._cacheControl = createCacheControl(this._uri.query.maxAge);
+        this._admission = createAdmission({
+            maxWaiting: this._uri.query.poolMaxWaitingClients,
+            maxWait: this._uri.query.poolMaxWait
+        });
+        normalizeTileOptions({ variables: this._uri.query.variables });
+        assertCompression('gridCompression', this._uri.query.gridCompression);
+        assertCompression('vectorCompression', this._uri.query.vectorCompression);
+    } catch (err) {
+        return callback(configurationError(err));
+    }
 
     if (!this._uri.xml) {
-        return callback(new Error('No XML provided'));
+        return callback(new ConfigurationError('No XML provided'));
     }
 
     if (this._uri.protocol && this._uri.protocol !== 'mapnik:') {
-        return callback(new Error('Only the mapnik protocol is supported'));
+        return callback(new ConfigurationError('Only the mapnik protocol is supported'));
     }
 
-    if (this._uri.query.limits && this._uri.query.limits.render > 0) {
-        this.getTile = timeoutDecorator(this.getTile.bind(this), this._uri.query.limits.render);
-        this.getGrid = timeoutDecorator(this.getGrid.bind(this), this._uri.query.limits.render);
+    const { storage } = this._uri.query.metatileCache;
+
+    if (storage && ![ 'get', 'set', 'del' ].every((method) => typeof storage[method] === 'function')) {
+        return callback(new ConfigurationError('Metatile cache storage must implement get, set and del'));
     }
 
-    this._metatileCache = createMetatileCache(this, this._uri.query.tileSize, this._uri.query.metatile, this._uri.query.metatileCache);
-    this._mapPool = createMapPool(this._uri, this._uri.xml);
+    this._layerPools = new WeakMap();
+    // when the borrowed maps were acquired, to know how long renders hold them
+    this._acquiredAt = new WeakMap();
+
+    try {
+        this._mapPool = this._createMapPool(this._uri);
+    } catch (err) {
+        return callback(configurationError(err));
+    }
+
+    this._solidTiles = new Map();
+    this._metatileCache = this._createMetatileCache(this._mapPool);
 
     this._open(callback);
 }
 
+util.inherits(MapnikSource, EventEmitter);
+
 MapnikSource.mapnik = mapnik;
+MapnikSource.FilesystemStorage = FilesystemStorage;
+MapnikSource.errors = errors;
+MapnikSource.exportTiles = exportTiles;
 
 MapnikSource.registerProtocols = function (tilelive) {
     tilelive.protocols['mapnik:'] = MapnikSource;
 };
 
+// The maps of a source that fails to open, warmed up or not, are destroyed
 MapnikSource.prototype._open = function (callback) {
-    this._mapPool.acquire()
-        .then((resource) => {
-            if (!(resource instanceof mapnik.Map)) {
-                const err = resource;
-                this._mapPool.release(resource);
+    this._warmUp(this._mapPool)
+        .then((map) => {
+            try {
+                this._setMapParameters(map);
+            } finally {
+                this._mapPool.release(map);
+            }
+        })
+        .then(() => {
+            this._lastModified = new Date().toUTCString();
+            this.open = true;
+
+            return callback(null, this);
+        }, (err) => {
+            return this._destroyMapPool(this._mapPool)
+                .then(() => callback(err), () => callback(err));
+        });
+};
+
+// Acquires `poolMin` maps at once, so they are loaded before the first request,
+// and at least one. Resolves with one of them, the others go back to the pool.
+MapnikSource.prototype._warmUp = function (mapPool) {
+    const acquisitions = Array.from({ length: Math.max(1, mapPool.min) }, () => this._takeMap(mapPool));
+
+    // Every acquisition settles before failing, so no map is left borrowed
+    return Promise.all(acquisitions.map((acquisition) => acquisition.then((map) => ({ map }), (err) => ({ err }))))
+        .then((results) => {
+            const maps = results.filter((result) => !result.err).map(({ map }) => map);
+            const failure = results.find((result) => result.err);
+
+            if (failure) {
+                maps.forEach((map) => mapPool.release(map));
+                throw failure.err;
+            }
+
+            maps.slice(1).forEach((map) => mapPool.release(map));
+
+            return maps[0];
+        });
+};
+
+MapnikSource.prototype._setMapParameters = function (map) {
+    this._format = mapFormat(this._uri, map, this._tileMatrixSet);
+    this._info = createTileJSON(map, this._format || 'png', this._uri.query.tiles);
+};
+
+// Maps render the layers selected with the `layers` and `excludeLayers` URI
+// options. Mapnik can't toggle the layers of a loaded map, so requests choosing
+// their own layers get maps from pools loaded with the other layers turned off,
+// one per choice, see layer-pools.js. The `poolLayerSubsets` most recently
+// used ones are kept while the pool of the style lives. Only the pool of the
+// style is warmed up with `poolMin` maps.
+MapnikSource.prototype._createMapPool = function (uri) {
+    const names = layerNames(uri.xml);
+    const active = selectLayers(names, normalizeTileOptions({
+        layers: uri.query.layers,
+        excludeLayers: uri.query.excludeLayers
+    }));
+    const subsets = createLayerPools(uri.query.poolLayerSubsets, (active) => {
+        return createMapPool(uri, disableLayers(uri.xml, active), { min: 0 });
+    });
+    const mapPool = createMapPool(uri, active ? disableLayers(uri.xml, active) : uri.xml);
+
+    this._layerPools.set(mapPool, { names, subsets });
+
+    return mapPool;
+};
+
+MapnikSource.prototype._layersMapPool = function (mapPool, renderOptions) {
+    const { names, subsets, destroyed } = this._layerPools.get(mapPool);
+
+    // The pool was destroyed by `update()` or `close()`, acquiring will fail
+    if (destroyed) {
+        return mapPool;
+    }
+
+    return subsets.get(selectLayers(names, renderOptions), mapPool);
+};
 
+MapnikSource.prototype._destroyMapPool = function (mapPool) {
+    const layerPools = this._layerPools.get(mapPool);
+
+    layerPools.destroyed = true;
+
+    return Promise.all([
+        mapPool.drain().then(() => mapPool.clear()),
+        layerPools.subsets.destroy()
+    ]);
+};
+
+// Every metatile cache renders with the map pool it was created with, so
+// renders in flight during an `update()` finish with the previous style. The
+// storage is used once `storageReady`, if given, resolves.
+MapnikSource.prototype._createMetatileCache = function (mapPool, storageReady) {
+    return createMetatileCache(this, {
+        tileSize: this._uri.query.tileSize,
+        metatile: this._uri.query.metatile,
+        metatileCache: this._uri.query.metatileCache,
+        tileMatrixSet: this._tileMatrixSet,
+        limits: this._uri.query.limits,
+        storage: this._uri.query.metatileCache.storage,
+        compression: { utf: this._uri.query.gridCompression },
+        mapPool,
+        storageReady
+    });
+};
+
+// Replaces the style with `xml` without closing the source. The new maps are
+// validated before swapping them in; requests started before the swap finish
+// with the previous style, which is released once they are done.
+MapnikSource.prototype.update = function (xml, callback) {
+    if (!this.open) {
+        return callback(new UnavailableError('Tileset is not open'));
+    }
+
+    if (!xml) {
+        return callback(new ConfigurationError('No XML provided'));
+    }
+
+    if (this._updating) {
+        return callback(new UnavailableError('Tileset is already being updated'));
+    }
+
+    const uri = Object.assign({}, this._uri, { xml });
+    let mapPool;
+
+    try {
+        mapPool = this._createMapPool(uri);
+    } catch (err) {
+        return callback(configurationError(err));
+    }
+
+    this._updating = true;
+
+    this._warmUp(mapPool)
+        .then((map) => {
+            try {
+                if (!this.open) {
+                    throw new UnavailableError('Tileset was closed while updating');
+                }
+
+                mapFormat(uri, map, this._tileMatrixSet);
+            } catch (err) {
+                mapPool.release(map);
                 throw err;
             }
 
-            const map = resource;
+            return map;
+        })
+        .catch((err) => {
+            return this._destroyMapPool(mapPool)
+                .then(() => {
+                    throw err;
+                });
+        })
+        .then((map) => {
+            const previousMapPool = this._mapPool;
+            const previousMetatileCache = this._metatileCache;
+            const storage = this._uri.query.metatileCache.storage;
 
-            this._format = map.parameters.format;
-            this.open = true;
+            previousMetatileCache.clear();
+
+            // The metatiles of the previous style being read, rendered or
+            // stored are done before its maps are destroyed, and the storage
+            // is cleared after its last tiles are written. The new style
+            // doesn't read nor write the storage until then, nor at all when
+            // that fails.
+            const storageCleared = previousMetatileCache.settled()
+                .then(() => this._destroyMapPool(previousMapPool))
+                .then(() => storage && typeof storage.clear === 'function' ? storage.clear() : undefined);
 
-            this._mapPool.release(resource);
+            this._uri = uri;
+            this._setMapParameters(map);
+            this._lastModified = new Date().toUTCString();
+            this._mapPool = mapPool;
+            this._metatileCache = this._createMetatileCache(mapPool, storageCleared);
 
+            mapPool.release(map);
+
+            // The style is replaced already, so failures releasing the
+            // previous one don't fail the update
+            return storageCleared.catch((err) => this._emitError(err, { update: true }));
+        })
+        .then(() => {
+            this._updating = false;
             return callback(null, this);
         })
         .catch((err) => {
+            this._updating = false;
             return callback(err);
         });
 };
 
+// Requests fail fast with an overloaded error, carrying a `retryAfter` in
+// seconds, when too many of their lane are waiting or the estimated wait is
+// over budget. `priority` is the lane to wait in, 'high' by default.
+MapnikSource.prototype._acquireMap = function (mapPool, status, priority) {
+    try {
+        this._admission.admit(mapPool, priority);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return this._takeMap(mapPool, status, priority);
+};
+
+// Acquires a map without the admission, like the warm-up does: its `poolMin`
+// acquisitions wait at once and aren't requests to shed.
+// The pool factory resolves errors instead of rejecting, so they have to be
+// turned into rejections here (see map-pool.js). When a `status` is given and
+// the render timed out while waiting for a map, the map goes back to the pool
+// straight away.
+MapnikSource.prototype._takeMap = function (mapPool, status, priority) {
+    const acquireStartTime = Date.now();
+
+    return mapPool.acquire(priority)
+        .catch((err) => {
+            // the pool drains once the source is closed
+            throw this.open ? err : new UnavailableError('Tileset is not open');
+        })
+        .then((resource) => {
+            this.emit('pool:acquire', { wait: Date.now() - acquireStartTime });
+
+            if (!(resource instanceof mapnik.Map)) {
+                const err = resource;
+                mapPool.release(resource);
+
+                throw err;
+            }
+
+            if (status && status.timedOut) {
+                mapPool.release(resource);
+
+                throw new Error('Render abandoned');
+            }
+
+            this._acquiredAt.set(resource, Date.now());
+
+            return resource;
+        });
+};
+
+// Maps whose render was abandoned because of a timeout are destroyed, the pool
+// will create a fresh one when needed. `rendered` counts a render of the map
+// towards `poolMaxRenders`.
+MapnikSource.prototype._releaseMap = function (mapPool, map, status, rendered) {
+    if (rendered) {
+        countRender(map);
+    }
+
+    if (this._acquiredAt.has(map)) {
+        this._admission.record(Date.now() - this._acquiredAt.get(map));
+        this._acquiredAt.delete(map);
+    }
+
+    if (status && status.timedOut) {
+        return mapPool.destroy(map);
+    }
+
+    return mapPool.release(map);
+};
+
+// Counters of the map pool, and of the metatile cache in `cache`
+MapnikSource.prototype.getStats = function () {
+    return {
+        size: this._mapPool.size,
+        available: this._mapPool.available,
+        borrowed: this._mapPool.borrowed,
+        pending: this._mapPool.pending,
+        max: this._mapPool.max,
+        min: this._mapPool.min,
+        reserved: this._mapPool.reserved,
+        cache: this._metatileCache.getStats()
+    };
+};
+
+// Emitting 'error' without listeners would throw
+MapnikSource.prototype._emitError = function (err, details) {
+    if (this.listenerCount('error') > 0) {
+        this.emit('error', err, details);
+    }
+};
+
 MapnikSource.prototype.close = function (callback) {
     if (!this.open) {
         return callback();
     }
 
-    this._metatileCache.clear();
+    const mapPool = this._mapPool;
+    const metatileCache = this._metatileCache;
 
-    return this._mapPool.drain()
-        .then(() => this._mapPool.clear())
-        .then(() => {
-            this.open = false;
-            return callback();
-        })
+    // From now on requests fail and an update in progress doesn't swap its
+    // maps in, see `update()`
+    this.open = false;
+
+    metatileCache.clear();
+
+    // Tiles being read from the storage may still have to be rendered
+    return metatileCache.settled()
+        .then(() => this._destroyMapPool(mapPool))
+        .then(() => callback())
         .catch(err => callback(err));
 };
 
-// Render handler for a given tile request.
-MapnikSource.prototype.getTile = function (z, x, y, callback) {
-    const format = this._format || 'png';
-    this._renderTile(format, z, x, y, callback);
+// Returns the TileJSON built from the map parameters when the source was opened.
+MapnikSource.prototype.getInfo = function (callback) {
+    if (!this.open) {
+        return callback(new UnavailableError('Tileset is not open'));
+    }
+
+    return callback(null, JSON.parse(JSON.stringify(this._info)));
+};
+
+// Render handler for a given tile request. `options` is optional and allows
+// to override `format`, `scale`, `variables`, `bufferSize` and the rendered
+// `layers` or `excludeLayers` per request. `priority` ('high' or 'low') is the
+// lane to wait for a map in when the tile has to be rendered.
+MapnikSource.prototype.getTile = function (z, x, y, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    if (!this.open) {
+        return callback(new UnavailableError('Tileset is not open'));
+    }
+
+    let renderOptions;
+    let format;
+    let priority;
+
+    try {
+        renderOptions = normalizeTileOptions(options);
+        selectLayers(this._layerPools.get(this._mapPool).names, renderOptions);
+        format = resolveFormat((options && options.format) || this._format || 'png').format;
+        assertTileFormat(format, this._tileMatrixSet);
+        priority = normalizePriority('render', options && options.priority, 'high');
+    } catch (err) {
+        return callback(err);
+    }
+
+    this._renderTile(format, z, x, y, renderOptions, priority, callback);
+};
+
+// `options` is optional and allows to override the grid `resolution`, the
+// interactivity `fields` and `layers`, the `variables` and the `priority` per
+// request.
+MapnikSource.prototype.getGrid = function (z, x, y, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    if (!this.open) {
+        return callback(new UnavailableError('Tileset is not open'));
+    }
+
+    let renderOptions;
+    let priority;
+
+    try {
+        renderOptions = normalizeGridOptions(options);
+        priority = normalizePriority('render', options && options.priority, 'high');
+    } catch (err) {
+        return callback(err);
+    }
+
+    this._renderTile('utf', z, x, y, renderOptions, priority, callback);
 };
 
-MapnikSource.prototype.getGrid = function (z, x, y, callback) {
-    const format = 'utf';
-    this._renderTile('utf', z, x, y, callback);
+// Render a single image, that is not a tile, for a bbox or a center and zoom.
+// It bypasses the metatile cache.
+MapnikSource.prototype.getStaticImage = function (options, callback) {
+    if (!this.open) {
+        return callback(new UnavailableError('Tileset is not open'));
+    }
+
+    // Static image extents are computed in spherical mercator
+    if (!this._tileMatrixSet.isSphericalMercator()) {
+        return callback(new InvalidRequestError('Static images require the EPSG:3857 tile matrix set'));
+    }
+
+    let params;
+
+    try {
+        params = normalizeStaticOptions(options, {
+            format: this._format || 'png',
+            scale: this._uri.query.scale,
+            variables: this._uri.query.variables
+        });
+    } catch (err) {
+        return callback(err);
+    }
+
+    const renderStaticImage = timeoutDecorator(this._renderStaticImage.bind(this), this._uri.query.limits.render);
+
+    renderStaticImage(params, (err, ...results) => {
+        if (err) {
+            this._emitError(err, { format: params.format, bbox: params.bbox });
+        }
+
+        callback(err, ...results);
+    });
 };
 
-MapnikSource.prototype._renderTile = function (format, z, x, y, callback) {
+MapnikSource.prototype._renderStaticImage = function (params, status, callback) {
+    const mapPool = this._mapPool;
+
+    this._acquireMap(mapPool, status)
+        .then((map) => {
+            try {
+                const renderOptions = {
+                    buffer_size: this._uri.query.bufferSize,
+                    scale: params.scale,
+                    variables: params.variables
+                };
+
+                const event = { format: params.format, bbox: params.bbox, width: params.width, height: params.height };
+                const renderStartTime = Date.now();
+                const image = new mapnik.Image(params.width, params.height);
+
+                map.resize(params.width, params.height);
+                map.extent = params.bbox;
+
+                this.emit('render:start', event);
+
+                map.render(image, renderOptions, (err, image) => {
+                    this._releaseMap(mapPool, map, status, true);
+
+                    const stats = { render: Date.now() - renderStartTime };
+
+                    this.emit('render:end', Object.assign({ duration: stats.render, error: err }, event));
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    const encodeStartTime = Date.now();
+
+                    image.encode(params.format, renderOptions, (err, encodedImage) => {
+                        if (err) {
+                            return callback(err);
+                        }
+
+                        stats.encode = Date.now() - encodeStartTime;
+
+                        this.emit('encode', Object.assign({ duration: stats.encode }, event));
+
+                        return callback(null, encodedImage, headers(params.format), stats);
+                    });
+                });
+            } catch (err) {
+                this._releaseMap(mapPool, map, status);
+                return callback(err);
+            }
+        })
+        .catch((err) => {
+            return callback(err);
+        });
+};
+
+// Query the features around a point, on a map sized like the tile at zoom `z`
+// that contains it. Calls back with `[ { layer, id, attributes } ]`.
+MapnikSource.prototype.queryPoint = function (lon, lat, z, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    if (!this.open) {
+        return callback(new UnavailableError('Tileset is not open'));
+    }
+
+    let params;
+
+    try {
+        params = normalizeQueryOptions(lon, lat, z, options, {
+            tileSize: this._uri.query.tileSize,
+            tileMatrixSet: this._tileMatrixSet
+        });
+    } catch (err) {
+        return callback(err);
+    }
+
+    const queryPoint = timeoutDecorator(this._queryPoint.bind(this), this._uri.query.limits.render);
+
+    queryPoint(params, (err, features) => {
+        if (err) {
+            this._emitError(err, { lon, lat, z });
+        }
+
+        callback(err, features);
+    });
+};
+
+MapnikSource.prototype._queryPoint = function (params, status, callback) {
+    const mapPool = this._mapPool;
+
+    this._acquireMap(mapPool, status)
+        .then((map) => {
+            try {
+                const names = map.layers().map((layer) => layer.name);
+                const unknown = (params.layers || []).filter((layer) => !names.includes(layer));
+
+                if (unknown.length > 0) {
+                    throw new InvalidRequestError(`Unknown layer: ${unknown.join(',')}`);
+                }
+
+                map.resize(params.size, params.size);
+                map.extent = params.bbox;
+
+                map.queryPoint(params.x, params.y, {}, (err, results) => {
+                    this._releaseMap(mapPool, map, status);
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    const features = [];
+
+                    results
+                        .filter(({ layer }) => !params.layers || params.layers.includes(layer))
+                        .forEach(({ layer, featureset }) => {
+                            for (let feature = featureset.next(); feature; feature = featureset.next()) {
+                                features.push({ layer, id: feature.id(), attributes: feature.attributes() });
+                            }
+                        });
+
+                    return callback(null, features);
+                });
+            } catch (err) {
+                this._releaseMap(mapPool, map, status);
+                return callback(err);
+            }
+        })
+        .catch((err) => {
+            return callback(err);
+        });
+};
+
+// The priority of the request that misses the cache is the one of the render,
+// requests for the same metatile coming meanwhile wait for it.
+MapnikSource.prototype._renderTile = function (format, z, x, y, renderOptions, priority, callback) {
     z = +z;
     x = +x;
     y = +y;
 
     try {
-        areValidCoords({ z, x, y });
+        areValidCoords({ z, x, y }, this._tileMatrixSet);
     } catch (err) {
         return callback(err);
     }
 
-    const key = [format, z, x, y].join(',');
+    const key = createKey(format, z, x, y, renderOptions);
+    const requestStartTime = Date.now();
+
+    this._metatileCache.get(key, (err, tile, headers, stats) => {
+        const event = { format, z, x, y, duration: Date.now() - requestStartTime };
+
+        if (err) {
+            this._emitError(err, event);
+        } else if (headers['Carto-Metatile-Cache'] === 'MISS') {
+            this.emit('cache:miss', event);
+        } else {
+            event.cache = headers['Carto-Metatile-Cache'] === 'PERSISTENT' ? 'persistent' : 'memory';
+            this.emit('cache:hit', event);
+        }
 
-    this._metatileCache.get(key, callback);
+        if (err) {
+            return callback(err);
+        }
+
+        callback(null, tile, Object.assign({}, headers, this._cacheHeaders(z)), stats);
+    }, { priority });
 };
 
-// Render png/jpg/tif image or a utf grid and return an encoded buffer
-MapnikSource.prototype._renderMetatile = function (format, z, x, y, metatile, callback) {
-    this._mapPool.acquire()
-        .then((resource) => {
-            if (!(resource instanceof mapnik.Map)) {
-                const err = resource;
-                this._mapPool.release(resource)
+// `Last-Modified` is the time the style was loaded, by opening the source or
+// with `update()`, and `Cache-Control` depends on the zoom level. Cached tiles
+// share their headers, so these are added to a copy on every response.
+MapnikSource.prototype._cacheHeaders = function (z) {
+    const cacheHeaders = { 'Last-Modified': this._lastModified };
+    const cacheControl = this._cacheControl(z);
 
-                throw err;
-            }
+    if (cacheControl) {
+        cacheHeaders['Cache-Control'] = cacheControl;
+    }
+
+    return cacheHeaders;
+};
+
+// Render every metatile within a bbox and zoom range once and pass its tiles to
+// `sink.putTile`. Returns the seeder, see lib/seeder.js for its events.
+MapnikSource.prototype.seed = function (options, sink) {
+    const info = this._info || {};
+
+    return createSeeder(this, Object.assign({
+        minzoom: info.minzoom,
+        maxzoom: info.maxzoom,
+        formats: [ this._format || 'png' ]
+    }, options), sink, {
+        tileSize: this._uri.query.tileSize,
+        metatile: this._uri.query.metatile,
+        tileMatrixSet: this._tileMatrixSet,
+        limits: this._uri.query.limits
+    });
+};
+
+// Readable stream of the tiles (`type: 'tiles'`) or grids (`type: 'grids'`)
+// within a bbox and zoom range, rendered metatile by metatile.
+MapnikSource.prototype.createReadStream = function (options = {}) {
+    const info = this._info || {};
+
+    return createReadStream(this, Object.assign({
+        minzoom: info.minzoom,
+        maxzoom: info.maxzoom
+    }, options), {
+        format: this._format || 'png',
+        tileSize: this._uri.query.tileSize,
+        metatile: this._uri.query.metatile,
+        tileMatrixSet: this._tileMatrixSet,
+        limits: this._uri.query.limits
+    });
+};
+
+// Render png/jpg/tif image, a utf grid or a vector tile and return an encoded buffer
+MapnikSource.prototype._renderMetatile = function (format, z, x, y, metatile, renderOptions, mapPool, priority, status, done) {
+    // Every rendered tile gets an ETag hashing its encoded content
+    const callback = (err, tiles) => {
+        if (err) {
+            return done(err);
+        }
 
-            const map = resource;
+        Object.keys(tiles).forEach((key) => {
+            tiles[key].headers.ETag = etag(tiles[key].image);
+        });
+
+        done(null, tiles);
+    };
+
+    // Seeding, read streams and exports reach here without `getTile()`
+    try {
+        assertTileFormat(format, this._tileMatrixSet);
+    } catch (err) {
+        return callback(err);
+    }
+
+    // Grids select their interactivity layers with the `layers` option instead
+    if (format !== 'utf' && (renderOptions.layers || renderOptions.excludeLayers)) {
+        try {
+            mapPool = this._layersMapPool(mapPool, renderOptions);
+        } catch (err) {
+            return callback(err);
+        }
+    }
 
+    this._acquireMap(mapPool, status, priority)
+        .then((map) => {
             try {
                 const options = {
                     tileSize: this._uri.query.tileSize,
-                    buffer_size: this._uri.query.bufferSize,
+                    buffer_size: pick(renderOptions.bufferSize, this._uri.query.bufferSize),
                     format: format,
                     z: z,
                     x: metatile.x,
                     y: metatile.y,
                     metrics: this._uri.query.metrics,
-                    variables: this._uri.query.variables || {},
-                    scale: this._uri.query.scale
+                    // Every render gets its own copy: `zoom` is set below
+                    variables: Object.assign({}, this._uri.query.variables, renderOptions.variables),
+                    scale: pick(renderOptions.scale, this._uri.query.scale)
                 };
 
                 // Set x, y, z based on the metatile boundary
@@ -142,15 +791,27 @@ MapnikSource.prototype._renderMetatile = function (format, z, x, y, metatile, ca
 
                 // Set default options.
                 if (options.format === 'utf') {
-                    if (!map.parameters.interactivity_layer || !map.parameters.interactivity_fields) {
-                        throw new Error('Tileset has no interactivity');
+                    const layers = selectInteractivityLayers(map.parameters, renderOptions.layers);
+
+                    options.resolution = pick(renderOptions.resolution, this._uri.query.resolution);
+
+                    // `merge: false` returns a grid per layer, even of a single one
+                    if (layers.length > 1 || renderOptions.merge === false) {
+                        options.layers = layers.map(({ layer, fields }) => ({ layer, fields: renderOptions.fields || fields }));
+                        options.merge = renderOptions.merge !== false;
+                        return this._renderGridsMetatile(mapPool, map, options, metatile, status, callback);
                     }
 
-                    options.layer = map.parameters.interactivity_layer;
-                    options.fields = map.parameters.interactivity_fields.split(',');
-                    options.resolution = this._uri.query.resolution;
+                    options.layer = layers[0].layer;
+                    options.fields = renderOptions.fields || layers[0].fields;
+                }
+
+                if (resolveFormat(options.format).kind === 'vector') {
+                    options.compression = this._uri.query.vectorCompression;
+                    return this._renderVectorMetatile(mapPool, map, options, metatile, status, callback);
                 }
 
+                const event = renderEvent(options, metatile);
                 const renderStartTime = Date.now();
 
                 const image = new mapnik[format === 'utf' ? 'Grid' : 'Image'](metatile.width, metatile.height);
@@ -160,21 +821,27 @@ MapnikSource.prototype._renderMetatile = function (format, z, x, y, metatile, ca
                 map.resize(metatile.width, metatile.height);
                 map.extent = metatile.bbox;
 
+                this.emit('render:start', event);
+
                 map.render(image, options, (err, image) => {
-                    this._mapPool.release(map);
+                    this._releaseMap(mapPool, map, status, true);
+
+                    const duration = Date.now() - renderStartTime;
+
+                    this.emit('render:end', Object.assign({ duration, error: err }, event));
 
                     if (err) {
                         return callback(err);
                     }
 
                     const renderStats = {
-                        render: Math.round((Date.now() - renderStartTime) / metatile.tiles.length)
+                        render: Math.round(duration / metatile.tiles.length)
                     };
 
                     return this._sliceMetatile(image, options, metatile, renderStats, callback);
                 });
             } catch(err) {
-                this._mapPool.release(map);
+                this._releaseMap(mapPool, map, status);
                 return callback(err);
             }
         })
@@ -190,7 +857,7 @@ MapnikSource.prototype._sliceMetatile = function (image, options, metatile, stat
 
     Promise.all(metatile.tiles.map((coords) => {
         return new Promise((resolve, reject) => {
-            const key = [ options.format, coords[0], coords[1], coords[2] ].join(',');
+            const key = coords.join(',');
             const encodeStartTime = Date.now();
             const x = (coords[1] - metatile.x) * options.tileSize;
             const y = (coords[2] - metatile.y) * options.tileSize;
@@ -198,16 +865,17 @@ MapnikSource.prototype._sliceMetatile = function (image, options, metatile, stat
             try {
                 const view = image.view(x, y, options.tileSize, options.tileSize);
 
-                const params = options.format === 'utf' ? [ options ] : [ options.format, options ];
-                view.encode(...params, (err, encodedImage) => {
+                this._encodeView(view, options, (err, encodedImage, solidHeaders) => {
                     if (err) {
                         return reject(err);
                     }
 
+                    this.emit('encode', encodeEvent(options, coords, encodeStartTime));
+
                     resolve({
                         [key]: {
                             image: encodedImage,
-                            headers: headers(options.format),
+                            headers: Object.assign(headers(options.format), solidHeaders),
                             stats: Object.assign(stats, { encode: Date.now() - encodeStartTime }, image.get_metrics())
                         }
                     });
@@ -221,4 +889,277 @@ MapnikSource.prototype._sliceMetatile = function (image, options, metatile, stat
     .catch((err) => callback(err));
 };
 
+// Empty and single colour views share one encoded buffer per colour and format,
+// for the last `SOLID_TILES` colours.
+// They are tagged with `Carto-Empty-Tile` or `Carto-Solid-Color` headers.
+MapnikSource.prototype._encodeView = function (view, options, callback) {
+    if (options.format === 'utf') {
+        return view.encode(options, (err, grid) => callback(err, grid, {}));
+    }
+
+    view.isSolid((err, solid, pixel) => {
+        if (err) {
+            return callback(err);
+        }
+
+        if (!solid) {
+            return view.encode(options.format, options, (err, buffer) => callback(err, buffer, {}));
+        }
+
+        const color = pixelColor(pixel);
+        const key = `${options.format},${color.join(',')}`;
+        const solidHeaders = color[3] === 0 ? { 'Carto-Empty-Tile': 'true' } : { 'Carto-Solid-Color': color.join(',') };
+
+        if (this._solidTiles.has(key)) {
+            return callback(null, this._solidTile(key), solidHeaders);
+        }
+
+        view.encode(options.format, options, (err, buffer) => {
+            if (err) {
+                return callback(err);
+            }
+
+            // another tile of the same colour may have been encoded meanwhile
+            if (!this._solidTiles.has(key)) {
+                this._solidTiles.set(key, buffer);
+            }
+
+            callback(null, this._solidTile(key), solidHeaders);
+        });
+    });
+};
+
+// Returns a shared buffer and marks it as the most recently used one, the Map
+// keeps insertion order.
+MapnikSource.prototype._solidTile = function (key) {
+    const buffer = this._solidTiles.get(key);
+
+    this._solidTiles.delete(key);
+    this._solidTiles.set(key, buffer);
+
+    if (this._solidTiles.size > SOLID_TILES) {
+        this._solidTiles.delete(this._solidTiles.keys().next().value);
+    }
+
+    return buffer;
+};
+
+// Grids of several interactivity layers are rendered one after the other with
+// the same map and sliced. Then the grids of every tile are merged, with keys
+// prefixed by the layer, or returned as `{ [layer]: grid }` when not merging.
+MapnikSource.prototype._renderGridsMetatile = function (mapPool, map, options, metatile, status, callback) {
+    const event = renderEvent(options, metatile);
+    const renderStartTime = Date.now();
+    const grids = [];
+
+    map.resize(metatile.width, metatile.height);
+    map.extent = metatile.bbox;
+
+    this.emit('render:start', event);
+
+    options.layers.reduce((rendering, { layer, fields }) => {
+        return rendering.then(() => new Promise((resolve, reject) => {
+            // Don't keep rendering the remaining layers of an abandoned metatile
+            if (status.timedOut) {
+                return reject(new Error('Render abandoned'));
+            }
+
+            const layerOptions = Object.assign({}, options, { layer, fields });
+            const grid = new mapnik.Grid(metatile.width, metatile.height);
+
+            grid.metrics_enabled = options.metrics;
+
+            map.render(grid, layerOptions, (err, grid) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                grids.push({ grid, options: layerOptions });
+                resolve();
+            });
+        }));
+    }, Promise.resolve())
+    .then(() => {
+        this._releaseMap(mapPool, map, status, true);
+
+        const duration = Date.now() - renderStartTime;
+
+        this.emit('render:end', Object.assign({ duration }, event));
+
+        const renderStats = {
+            render: Math.round(duration / metatile.tiles.length)
+        };
+
+        return Promise.all(grids.map(({ grid, options }) => new Promise((resolve, reject) => {
+            this._sliceMetatile(grid, options, metatile, Object.assign({}, renderStats), (err, tiles) => {
+                return err ? reject(err) : resolve(tiles);
+            });
+        })))
+        .then((layerTiles) => callback(null, combineGridTiles(options, metatile, layerTiles)), callback);
+    }, (err) => {
+        this._releaseMap(mapPool, map, status, true);
+        this.emit('render:end', Object.assign({ duration: Date.now() - renderStartTime, error: err }, event));
+        return callback(err);
+    });
+};
+
+// Vector tiles can't be sliced from a bigger surface like images or grids,
+// so every tile of the metatile is rendered on its own using the same map.
+MapnikSource.prototype._renderVectorMetatile = function (mapPool, map, options, metatile, status, callback) {
+    const event = renderEvent(options, metatile);
+    const renderStartTime = Date.now();
+    const vectorTiles = [];
+
+    this.emit('render:start', event);
+
+    metatile.tiles.reduce((rendering, [ z, x, y ]) => {
+        return rendering.then(() => new Promise((resolve, reject) => {
+            // Don't keep rendering the remaining tiles of an abandoned metatile
+            if (status.timedOut) {
+                return reject(new Error('Render abandoned'));
+            }
+
+            const vtile = new mapnik.VectorTile(z, x, y, {
+                buffer_size: Math.round(options.buffer_size * VECTOR_TILE_EXTENT / options.tileSize)
+            });
+
+            map.render(vtile, options, (err, vtile) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                vectorTiles.push(vtile);
+                resolve();
+            });
+        }));
+    }, Promise.resolve())
+    .then(() => {
+        this._releaseMap(mapPool, map, status, true);
+
+        const duration = Date.now() - renderStartTime;
+
+        this.emit('render:end', Object.assign({ duration }, event));
+
+        const renderStats = {
+            render: Math.round(duration / metatile.tiles.length)
+        };
+
+        return this._encodeVectorMetatile(vectorTiles, options, metatile, renderStats, callback);
+    }, (err) => {
+        this._releaseMap(mapPool, map, status, true);
+        this.emit('render:end', Object.assign({ duration: Date.now() - renderStartTime, error: err }, event));
+        return callback(err);
+    });
+};
+
+MapnikSource.prototype._encodeVectorMetatile = function (vectorTiles, options, metatile, stats, callback) {
+    if (vectorTiles.length === 0) {
+        return callback(null, {});
+    }
+
+    Promise.all(vectorTiles.map((vtile, index) => {
+        return new Promise((resolve, reject) => {
+            const key = metatile.tiles[index].join(',');
+            const encodeStartTime = Date.now();
+
+            // Mapnik only gzips vector tiles, brotli is applied afterwards
+            const brotli = options.compression === 'br';
+
+            vtile.getData({ compression: brotli ? 'none' : options.compression }, (err, data) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                (brotli ? compress(data, 'br') : Promise.resolve(data))
+                    .then((data) => {
+                        this.emit('encode', encodeEvent(options, metatile.tiles[index], encodeStartTime));
+
+                        resolve({
+                            [key]: {
+                                image: data,
+                                headers: headers(options.format, { compression: options.compression }),
+                                stats: Object.assign({}, stats, { encode: Date.now() - encodeStartTime })
+                            }
+                        });
+                    })
+                    .catch(reject);
+            });
+        });
+    }))
+    .then((tiles) => callback(null, Object.assign({}, ...tiles)))
+    .catch((err) => callback(err));
+};
+
+// The `format` query option or Map parameter, failing with the formats Mapnik
+// can't encode, see formats.js
+function mapFormat (uri, map, tileMatrixSet) {
+    const format = uri.query.format || map.parameters.format;
+
+    if (format) {
+        try {
+            assertTileFormat(format, tileMatrixSet);
+        } catch (err) {
+            throw configurationError(err);
+        }
+    }
+
+    return format;
+}
+
+// Mapnik computes the extent of vector tiles in spherical mercator, so they
+// can't be rendered for other tile matrix sets
+function assertTileFormat (format, tileMatrixSet) {
+    if (resolveFormat(format).kind === 'vector' && !tileMatrixSet.isSphericalMercator()) {
+        throw new InvalidRequestError(`Invalid format for the tile matrix set: ${format} tiles require EPSG:3857`);
+    }
+}
+
+// The URI and style options are validated like the ones of the requests, but
+// invalid ones are configuration errors.
+function configurationError (err) {
+    return err instanceof InvalidRequestError ? new ConfigurationError(err.message) : err;
+}
+
+function combineGridTiles (options, metatile, layerTiles) {
+    const tiles = {};
+
+    metatile.tiles.forEach((coords) => {
+        const key = coords.join(',');
+        const layers = options.layers.map(({ layer }, index) => ({ layer, grid: layerTiles[index][key].image }));
+        const { headers, stats } = layerTiles[0][key];
+
+        const image = options.merge ?
+            mergeGrids(layers) :
+            layers.reduce((grids, { layer, grid }) => Object.assign(grids, { [layer]: grid }), {});
+
+        tiles[key] = { image, headers, stats };
+    });
+
+    return tiles;
+}
+
+function renderEvent (options, metatile) {
+    return { format: options.format, z: options.z, x: metatile.x, y: metatile.y, tiles: metatile.tiles.length };
+}
+
+function encodeEvent (options, [ z, x, y ], encodeStartTime) {
+    return { format: options.format, z, x, y, duration: Date.now() - encodeStartTime };
+}
+
+function pick (value, defaultValue) {
+    return typeof value === 'undefined' ? defaultValue : value;
+}
+
+// [ r, g, b, a ] of a rendered pixel, which has its alpha premultiplied
+function pixelColor (pixel) {
+    const a = (pixel >>> 24) & 0xff;
+    const color = [ pixel & 0xff, (pixel >>> 8) & 0xff, (pixel >>> 16) & 0xff ];
+
+    if (a === 0) {
+        return [ 0, 0, 0, 0 ];
+    }
+
+    return color.map((value) => Math.min(255, Math.round(value * 255 / a))).concat(a);
+}
+
 module.exports = MapnikSource;
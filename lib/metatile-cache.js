@@ -2,41 +2,179 @@
 
 const LockingCache = require('./lockingcache');
 const calculateMetatile = require('./metatile');
+const timeoutDecorator = require('./utils/timeout-decorator');
+const { createKey, parseKey } = require('./utils/cache-key');
+const { compressTiles } = require('./utils/compression');
+
+// Values of the `Carto-Metatile-Cache` header
+const FRESH = 'MISS'; // rendered for this request
+const MEMORY = 'HIT'; // rendered along with a sibling tile and kept in memory
+const PERSISTENT = 'PERSISTENT'; // read from the persistent storage
 
 // Creates a locking cache that generates tiles. When requesting the same tile
 // multiple times, they'll be grouped to one request.
-module.exports = function createMetatileCache (source, tileSize, metatile, options) {
+// The storage isn't read nor written until the optional `storageReady` promise
+// resolves, e.g. while the tiles of a previous style are removed from it.
+// `cache.settled()` resolves once the metatiles being read, rendered or stored
+// are done, including the renders abandoned by a timeout.
+module.exports = function createMetatileCache (source, options) {
     const cacheOptions = {
-        timeout: options.ttl,
-        deleteOnHit: options.deleteOnHit // purge immediately after callbacks
+        timeout: options.metatileCache.ttl,
+        deleteOnHit: options.metatileCache.deleteOnHit, // purge immediately after callbacks
+        maxEntries: options.metatileCache.maxEntries,
+        maxBytes: options.metatileCache.maxBytes
+    };
+    const state = {
+        storage: options.storageReady ? undefined : options.storage,
+        generations: new Set()
+    };
+
+    if (options.storageReady) {
+        options.storageReady.then(() => {
+            state.storage = options.storage;
+        }, () => {});
+    }
+
+    const cache = new LockingCache(metatileCacheGenerator(source, options, state), cacheOptions);
+
+    cache.settled = function settled () {
+        if (state.generations.size === 0) {
+            return Promise.resolve();
+        }
+
+        return Promise.all(state.generations).then(settled);
     };
 
-    return new LockingCache(metatileCacheGenerator(source, tileSize, metatile), cacheOptions);
+    return cache;
 };
 
-function metatileCacheGenerator (source, tileSize, metatile) {
-    return function metatileCacheGeneratorFn (cacheInput) {
+// `compression` maps formats to the compression of their cached tiles, e.g.
+// `{ utf: 'gzip' }`. Rendered metatiles are compressed once, before their
+// tiles go into the cache.
+function metatileCacheGenerator (source, { tileSize, metatile, tileMatrixSet, limits = {}, mapPool, compression = {} }, state) {
+    return function metatileCacheGeneratorFn (cacheInput, { priority } = {}) {
         const cache = this;
-        const [ format, z, x, y ] = cacheInput.split(',');
-        const options = { tileSize, metatile, z: +z, x: +x, y: +y };
+        const { storage } = state;
+        const { format, z, x, y, options: renderOptions } = parseKey(cacheInput);
+        const options = { tileSize, metatile, tileMatrixSet, z, x, y };
 
         // Calculate bbox from xyz, respecting metatile settings.
         const metatiles = calculateMetatile(options);
-        const cache_keys = metatiles.tiles.map((tile) => format + ',' + tile.join(','));
+        const cache_keys = metatiles.tiles.map(([ z, x, y ]) => createKey(format, z, x, y, renderOptions));
 
-        source._renderMetatile(format, +z, +x, +y, metatiles, (err, tiles) => {
-            if (err) {
-                // Push error objects to all entries that were supposed to be generated.
-                return cache_keys.forEach((key) => cache.put(key, err));
-            }
+        const putTiles = (tiles, requestedHeader) => {
+            metatiles.tiles.forEach((coords, index) => {
+                const key = cache_keys[index];
+                const tile = tiles[coords.join(',')];
 
-            // Put all the generated tiles into the locking cache.
-            cache_keys.forEach((key) => {
-                tiles[key].headers['Carto-Metatile-Cache'] = cacheInput === key ? 'MISS' : 'HIT';
-                cache.put(key, null, tiles[key].image, tiles[key].headers, tiles[key].stats);
+                tile.headers['Carto-Metatile-Cache'] = key === cacheInput ? requestedHeader : MEMORY;
+                cache.put(key, null, tile.image, tile.headers, tile.stats);
             });
+        };
+
+        const storeTiles = (tiles) => {
+            if (storage) {
+                return setStoredTiles(storage, metatiles, cache_keys, tiles);
+            }
+        };
+
+        let settle;
+        const generation = new Promise((resolve) => {
+            settle = resolve;
         });
 
+        state.generations.add(generation);
+        generation.then(() => state.generations.delete(generation));
+
+        const renderMetatile = timeoutDecorator(source._renderMetatile.bind(source), limits.render, {
+            // Requests coming after a timeout must start a new render instead
+            // of inheriting the error or waiting for the abandoned one.
+            onTimeout: (err) => cache.purge(cache_keys, err),
+            onLateResult: (err, tiles) => {
+                if (err || !limits.cacheOnTimeout) {
+                    return settle();
+                }
+
+                compressTiles(tiles, compression[format])
+                    .then((tiles) => {
+                        putTiles(tiles, MEMORY);
+                        return storeTiles(tiles);
+                    })
+                    .catch(() => {})
+                    .then(settle, settle);
+            }
+        });
+
+        const render = () => {
+            renderMetatile(format, z, x, y, metatiles, renderOptions, mapPool, priority, (err, tiles) => {
+                if (err) {
+                    settle();
+                    // Errors aren't cached: the waiting requests get them and
+                    // later ones render again, as a busy pool or a failed
+                    // render may not fail the next time.
+                    return cache.purge(cache_keys, err);
+                }
+
+                compressTiles(tiles, compression[format])
+                    .then((tiles) => {
+                        // Put all the generated tiles into the locking cache.
+                        putTiles(tiles, FRESH);
+                        return storeTiles(tiles);
+                    })
+                    .catch((err) => cache.purge(cache_keys, err))
+                    .then(settle, settle);
+            });
+        };
+
+        if (!storage) {
+            render();
+        } else {
+            getStoredTiles(storage, metatiles, cache_keys)
+                .then((tiles) => {
+                    if (!tiles) {
+                        return render();
+                    }
+
+                    settle();
+                    putTiles(tiles, PERSISTENT);
+                });
+        }
+
         return cache_keys;
     };
 };
+
+// Resolves the tiles of the metatile only when all of them are stored,
+// otherwise the whole metatile has to be rendered anyway. Storage failures
+// are handled as misses.
+function getStoredTiles (storage, metatiles, cacheKeys) {
+    return Promise.resolve()
+        .then(() => Promise.all(cacheKeys.map((key) => storage.get(key))))
+        .then((storedTiles) => {
+            if (storedTiles.some((tile) => !tile)) {
+                return undefined;
+            }
+
+            return metatiles.tiles.reduce((tiles, coords, index) => {
+                const { image, headers, stats } = storedTiles[index];
+                tiles[coords.join(',')] = { image, headers: Object.assign({}, headers), stats: stats || {} };
+                return tiles;
+            }, {});
+        })
+        .catch(() => undefined);
+}
+
+// Resolves once every write is done, failed or not
+function setStoredTiles (storage, metatiles, cacheKeys, tiles) {
+    return Promise.all(metatiles.tiles.map((coords, index) => {
+        const { image, headers } = tiles[coords.join(',')];
+        const storedHeaders = Object.assign({}, headers);
+
+        delete storedHeaders['Carto-Metatile-Cache'];
+
+        // A failed write only means the tile will be rendered again
+        return Promise.resolve()
+            .then(() => storage.set(cacheKeys[index], { image, headers: storedHeaders }))
+            .catch(() => {});
+    }));
+}
@@ -1,23 +1,22 @@
 'use strict';
 
-const EARTH_RADIUS = 6378137;
-const EARTH_DIAMETER = EARTH_RADIUS * 2;
-const EARTH_CIRCUMFERENCE = EARTH_DIAMETER * Math.PI;
-const MAX_RES = EARTH_CIRCUMFERENCE / 256;
-const ORIGIN_SHIFT = EARTH_CIRCUMFERENCE/2;
+const createTileMatrixSet = require('./tile-matrix-set');
+
+const DEFAULT_TILE_MATRIX_SET = createTileMatrixSet();
 
 module.exports = function calculateMetatile (options) {
     const { metatile, tileSize } = options;
+    const tileMatrixSet = options.tileMatrixSet || DEFAULT_TILE_MATRIX_SET;
     const { z, x, y } = parseCoords(options);
-    const total = Math.pow(2, z);
-    const resolution = MAX_RES / total;
+    const matrix = tileMatrixSet.matrixSize(z);
+    const resolution = tileMatrixSet.resolution(z);
 
     // Make sure we don't calculcate a metatile that is larger than the bounds.
-    const metaWidth  = Math.min(metatile, total, total - x);
-    const metaHeight = Math.min(metatile, total, total - y);
+    const metaWidth  = Math.min(metatile, matrix.width, matrix.width - x);
+    const metaHeight = Math.min(metatile, matrix.height, matrix.height - y);
 
     const tiles = getMetatileCoords({ z, x, y, metaWidth, metaHeight });
-    const bbox = getBoundingBox({ z, x, y, resolution, metaWidth, metaHeight });
+    const bbox = getBoundingBox({ x, y, resolution, metaWidth, metaHeight, tileMatrixSet });
 
     return {
         width: metaWidth * tileSize,
@@ -54,11 +53,12 @@ function getMetatileCoords ({ z, x, y, metaWidth, metaHeight }) {
     return coords;
 }
 
-function getBoundingBox ({ z, x, y, resolution, metaWidth, metaHeight }) {
-    const minx = (x * 256) * resolution - ORIGIN_SHIFT;
-    const miny = -((y + metaHeight) * 256) * resolution + ORIGIN_SHIFT;
-    const maxx = ((x + metaWidth) * 256) * resolution - ORIGIN_SHIFT;
-    const maxy = -((y * 256) * resolution - ORIGIN_SHIFT);
+function getBoundingBox ({ x, y, resolution, metaWidth, metaHeight, tileMatrixSet }) {
+    const { origin, tileSize } = tileMatrixSet;
+    const minx = origin[0] + ((x * tileSize) * resolution);
+    const miny = origin[1] - ((y + metaHeight) * tileSize) * resolution;
+    const maxx = origin[0] + ((x + metaWidth) * tileSize) * resolution;
+    const maxy = origin[1] - (y * tileSize) * resolution;
 
     return [ minx, miny, maxx, maxy ];
 }
@@ -0,0 +1,192 @@
+'use strict';
+
+const { ConfigurationError, InvalidRequestError } = require('./errors');
+
+// Lanes to acquire maps in, from the highest priority. Viewer requests use
+// 'high' by default and seeding 'low'.
+const PRIORITIES = [ 'high', 'low' ];
+
+module.exports = {
+    PRIORITIES,
+    createPriorityPool,
+    normalizePriority
+};
+
+// Wraps a generic-pool created with `priorityRange: PRIORITIES.length`. The
+// last `reserved` maps are kept for the high priority lane: low priority
+// acquisitions wait while they hold all the others.
+function createPriorityPool (pool, reserved = 0) {
+    if (!Number.isInteger(+reserved) || +reserved < 0 || +reserved >= pool.max) {
+        throw new ConfigurationError(`Invalid pool option poolReserved: ${reserved}`);
+    }
+
+    return new PriorityPool(pool, +reserved);
+}
+
+function normalizePriority (kind, priority, defaultPriority) {
+    if (typeof priority === 'undefined' || priority === null) {
+        return defaultPriority;
+    }
+
+    if (!PRIORITIES.includes(priority)) {
+        throw new InvalidRequestError(`Invalid ${kind} option priority: ${priority}`);
+    }
+
+    return priority;
+}
+
+function PriorityPool(pool, reserved) {
+    this.pool = pool;
+    this.reserved = reserved;
+    // maps borrowed by low priority acquisitions, and the ones waiting for a slot
+    this.lowBorrowed = new Set();
+    this.lowSlots = 0;
+    this.lowWaiting = [];
+    // acquisitions still waiting for a map, per lane
+    this.waitingByLane = { high: 0, low: 0 };
+    // low priority acquisitions that haven't reached the pool yet
+    this.entering = 0;
+    this.entered = undefined;
+    this.drained = undefined;
+}
+
+PriorityPool.prototype.acquire = function (priority = 'high') {
+    const level = PRIORITIES.indexOf(priority);
+    const lane = PRIORITIES[level];
+    const acquired = (result) => {
+        this.waitingByLane[lane]--;
+        return result;
+    };
+    const failed = (err) => {
+        this.waitingByLane[lane]--;
+        throw err;
+    };
+
+    this.waitingByLane[lane]++;
+
+    if (level === 0) {
+        return this.pool.acquire(level).then(acquired, failed);
+    }
+
+    this.entering++;
+
+    return this._takeLowSlot()
+        .then(() => {
+            const acquisition = this.pool.acquire(level);
+
+            this._entered();
+
+            return acquisition;
+        })
+        .then((map) => {
+            this.lowBorrowed.add(map);
+            return map;
+        }, (err) => {
+            this._freeLowSlot();
+            throw err;
+        })
+        .then(acquired, failed);
+};
+
+// Acquisitions of the lane waiting for a map
+PriorityPool.prototype.waiting = function (priority) {
+    return this.waitingByLane[priority];
+};
+
+// Acquisitions a new one of the lane waits behind: the high lane is served
+// first, so only high ones are ahead of high acquisitions.
+PriorityPool.prototype.ahead = function (priority) {
+    return priority === 'low' ? this.waitingByLane.high + this.waitingByLane.low : this.waitingByLane.high;
+};
+
+// Maps the lane can hold at once
+PriorityPool.prototype.capacity = function (priority) {
+    return priority === 'low' ? this.pool.max - this.reserved : this.pool.max;
+};
+
+// Maps the lane could take right now, borrowed or not created yet
+PriorityPool.prototype.free = function (priority) {
+    const free = this.pool.max - this.pool.borrowed;
+
+    return priority === 'low' ? Math.max(0, Math.min(free, this.capacity('low') - this.lowBorrowed.size)) : free;
+};
+
+PriorityPool.prototype.release = function (map) {
+    this._returned(map);
+    return this.pool.release(map);
+};
+
+PriorityPool.prototype.destroy = function (map) {
+    this._returned(map);
+    return this.pool.destroy(map);
+};
+
+// Low priority acquisitions waiting for a slot reach the pool before it
+// drains, so every acquisition started before draining gets its map
+PriorityPool.prototype.drain = function () {
+    if (!this.drained) {
+        const entered = this.entering === 0 ?
+            Promise.resolve() :
+            new Promise((resolve) => {
+                this.entered = resolve;
+            });
+
+        this.drained = entered.then(() => this.pool.drain());
+    }
+
+    return this.drained;
+};
+
+PriorityPool.prototype.clear = function () {
+    return this.pool.clear();
+};
+
+PriorityPool.prototype._returned = function (map) {
+    if (this.lowBorrowed.delete(map)) {
+        this._freeLowSlot();
+    }
+};
+
+PriorityPool.prototype._entered = function () {
+    this.entering--;
+
+    if (this.entering === 0 && this.entered) {
+        this.entered();
+        this.entered = undefined;
+    }
+};
+
+PriorityPool.prototype._takeLowSlot = function () {
+    if (this.lowSlots < this.pool.max - this.reserved) {
+        this.lowSlots++;
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve) => this.lowWaiting.push(resolve));
+};
+
+// The slot goes straight to the next waiting acquisition, if any
+PriorityPool.prototype._freeLowSlot = function () {
+    const next = this.lowWaiting.shift();
+
+    if (next) {
+        return next();
+    }
+
+    this.lowSlots--;
+};
+
+[ 'size', 'available', 'borrowed', 'max', 'min' ].forEach((counter) => {
+    Object.defineProperty(PriorityPool.prototype, counter, {
+        get () {
+            return this.pool[counter];
+        }
+    });
+});
+
+// Low priority acquisitions waiting for a slot are pending too
+Object.defineProperty(PriorityPool.prototype, 'pending', {
+    get () {
+        return this.pool.pending + this.lowWaiting.length;
+    }
+});
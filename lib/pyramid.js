@@ -0,0 +1,90 @@
+'use strict';
+
+const calculateMetatile = require('./metatile');
+const { InvalidRequestError } = require('./errors');
+
+// Walks the metatiles covering a bbox from `minzoom` to `maxzoom`, zoom by
+// zoom and row by row. `bbox` is [ west, south, east, north ] in WGS84 for the
+// spherical mercator grid and in map units for any other tile matrix set; it
+// defaults to the whole extent of the grid.
+module.exports = function createPyramid (options) {
+    return new Pyramid(options);
+};
+
+module.exports.normalizePyramidOptions = normalizePyramidOptions;
+
+function Pyramid({ bbox, minzoom, maxzoom, metatile, tileSize, tileMatrixSet }) {
+    const extent = bbox ? project(bbox, tileMatrixSet) : tileMatrixSet.extent;
+
+    this.metatile = metatile;
+    this.tileSize = tileSize;
+    this.tileMatrixSet = tileMatrixSet;
+    this.ranges = [];
+
+    for (let z = minzoom; z <= maxzoom; z++) {
+        const range = tileMatrixSet.tileRange(extent, z);
+
+        if (range) {
+            this.ranges.push(Object.assign({ z }, range));
+        }
+    }
+}
+
+// Number of metatiles and tiles in the pyramid
+Pyramid.prototype.count = function () {
+    const span = (min, max) => Math.floor(max / this.metatile) - Math.floor(min / this.metatile) + 1;
+
+    return this.ranges.reduce((count, { minx, miny, maxx, maxy }) => {
+        count.metatiles += span(minx, maxx) * span(miny, maxy);
+        count.tiles += (maxx - minx + 1) * (maxy - miny + 1);
+
+        return count;
+    }, { metatiles: 0, tiles: 0 });
+};
+
+// Yields `{ z, metatile, tiles }`, where `metatile` is ready to be rendered and
+// `tiles` are the coordinates of its tiles within the bbox.
+Pyramid.prototype.metatiles = function* () {
+    const { metatile, tileSize, tileMatrixSet } = this;
+
+    for (const { z, minx, miny, maxx, maxy } of this.ranges) {
+        for (let y = miny - miny % metatile; y <= maxy; y += metatile) {
+            for (let x = minx - minx % metatile; x <= maxx; x += metatile) {
+                const meta = calculateMetatile({ metatile, tileSize, tileMatrixSet, z, x, y });
+                const tiles = meta.tiles.filter(([ , tx, ty ]) => tx >= minx && tx <= maxx && ty >= miny && ty <= maxy);
+
+                yield { z, metatile: meta, tiles };
+            }
+        }
+    }
+};
+
+function project ([ west, south, east, north ], tileMatrixSet) {
+    return [ ...tileMatrixSet.forward([ west, south ]), ...tileMatrixSet.forward([ east, north ]) ];
+}
+
+// Validates `bbox`, `minzoom` and `maxzoom`; `kind` names the options in errors
+function normalizePyramidOptions (options, kind) {
+    const { bbox } = options;
+    const minzoom = +options.minzoom;
+    const maxzoom = +options.maxzoom;
+
+    if (typeof bbox !== 'undefined' && !isValidBoundingBox(bbox)) {
+        throw new InvalidRequestError(`Invalid ${kind} option bbox: ${bbox}`);
+    }
+
+    if (!Number.isInteger(minzoom) || minzoom < 0) {
+        throw new InvalidRequestError(`Invalid ${kind} option minzoom: ${options.minzoom}`);
+    }
+
+    if (!Number.isInteger(maxzoom) || maxzoom < minzoom) {
+        throw new InvalidRequestError(`Invalid ${kind} option maxzoom: ${options.maxzoom}`);
+    }
+
+    return { bbox: bbox && bbox.map(Number), minzoom, maxzoom };
+}
+
+function isValidBoundingBox (bbox) {
+    return Array.isArray(bbox) && bbox.length === 4 && bbox.every((value) => Number.isFinite(+value)) &&
+        +bbox[0] < +bbox[2] && +bbox[1] < +bbox[3];
+}
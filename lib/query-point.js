@@ -0,0 +1,60 @@
+'use strict';
+
+const calculateMetatile = require('./metatile');
+const { InvalidRequestError, NotFoundError } = require('./errors');
+
+// Mapnik looks for features within 3 pixels of the queried point
+const MAPNIK_TOLERANCE = 3;
+
+// Validates a point query and resolves the tile to query at zoom `z`: the
+// point, in map units, and the tile extent and size. `lon` and `lat` are WGS84
+// for the spherical mercator grid and map units for other tile matrix sets.
+// Options:
+//   - layers: names of the layers to query, all of them by default.
+//   - tolerance: distance in pixels to the features, defaults to 3.
+module.exports = function normalizeQueryOptions (lon, lat, z, options, { tileSize, tileMatrixSet }) {
+    options = options || {};
+
+    if (!Number.isFinite(+lon) || !Number.isFinite(+lat) || !Number.isInteger(+z) || +z < 0) {
+        throw new InvalidRequestError(`Invalid query point: ${lon},${lat},${z}`);
+    }
+
+    const tolerance = typeof options.tolerance === 'undefined' ? MAPNIK_TOLERANCE : +options.tolerance;
+
+    if (!Number.isFinite(tolerance) || tolerance <= 0) {
+        throw new InvalidRequestError(`Invalid query option tolerance: ${options.tolerance}`);
+    }
+
+    let layers;
+
+    if (typeof options.layers !== 'undefined') {
+        layers = Array.isArray(options.layers) ? options.layers : String(options.layers).split(',');
+
+        if (layers.length === 0 || layers.some((layer) => typeof layer !== 'string' || layer.length === 0)) {
+            throw new InvalidRequestError(`Invalid query option layers: ${options.layers}`);
+        }
+    }
+
+    const [ x, y ] = tileMatrixSet.forward([ +lon, +lat ]);
+    const { width, height } = tileMatrixSet.matrixSize(+z);
+    const span = tileMatrixSet.resolution(+z) * tileMatrixSet.tileSize;
+    const column = Math.floor((x - tileMatrixSet.origin[0]) / span);
+    const row = Math.floor((tileMatrixSet.origin[1] - y) / span);
+
+    if (!(column >= 0 && column < width && row >= 0 && row < height)) {
+        throw new NotFoundError(`Coordinates out of range: ${lon},${lat},${z}`);
+    }
+
+    const { bbox } = calculateMetatile({ metatile: 1, tileSize, tileMatrixSet, z: +z, x: column, y: row });
+
+    return {
+        x,
+        y,
+        z: +z,
+        bbox,
+        // Mapnik's tolerance is fixed in pixels, so the map is resized to
+        // make them as long as the requested tolerance.
+        size: Math.max(1, Math.round(tileSize * MAPNIK_TOLERANCE / tolerance)),
+        layers
+    };
+};
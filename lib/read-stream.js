@@ -0,0 +1,99 @@
+'use strict';
+
+const util = require('util');
+const { Readable } = require('stream');
+const createPyramid = require('./pyramid');
+const { normalizePyramidOptions } = createPyramid;
+const timeoutDecorator = require('./utils/timeout-decorator');
+const { normalizePriority } = require('./priority-pool');
+const { InvalidRequestError, UnavailableError } = require('./errors');
+
+const TYPES = {
+    tiles: null, // the format of the source
+    grids: 'utf'
+};
+
+// Object mode stream of `{ z, x, y, buffer, headers }` for the tiles within a
+// bbox and zoom range, as expected by `tilelive.copy`. `buffer` holds the grid
+// object for grids. The next metatile is only rendered once the consumer has
+// read the tiles of the previous one. Emits `length` with the number of tiles.
+module.exports = function createReadStream (source, options, config) {
+    return new TileStream(source, options, config);
+};
+
+function TileStream(source, options = {}, { format, tileSize, metatile, tileMatrixSet, limits = {} }) {
+    // a metatile worth of tiles is buffered at most
+    Readable.call(this, { objectMode: true, highWaterMark: 1 });
+
+    this.source = source;
+    this.stats = { total: 0, done: 0 };
+
+    let pyramidOptions;
+
+    try {
+        const type = options.type || 'tiles';
+
+        if (!TYPES.hasOwnProperty(type)) {
+            throw new InvalidRequestError(`Invalid stream option type: ${type}`);
+        }
+
+        this.format = TYPES[type] || format;
+        this.priority = normalizePriority('stream', options.priority, 'low');
+        pyramidOptions = normalizePyramidOptions(options, 'stream');
+    } catch (err) {
+        process.nextTick(() => this.destroy(err));
+        return;
+    }
+
+    const pyramid = createPyramid(Object.assign({ metatile, tileSize, tileMatrixSet }, pyramidOptions));
+
+    this.stats.total = pyramid.count().tiles;
+    this.metatiles = pyramid.metatiles();
+    this.renderMetatile = timeoutDecorator(source._renderMetatile.bind(source), limits.render);
+
+    process.nextTick(() => this.emit('length', this.stats.total));
+}
+
+util.inherits(TileStream, Readable);
+
+TileStream.prototype._read = function () {
+    // invalid options destroy the stream on the next tick, it may be read first
+    if (this.rendering || !this.metatiles) {
+        return;
+    }
+
+    if (!this.source.open) {
+        return this.destroy(new UnavailableError('Tileset is not open'));
+    }
+
+    const next = this.metatiles.next();
+
+    if (next.done) {
+        return this.push(null);
+    }
+
+    const { z, metatile, tiles } = next.value;
+
+    this.rendering = true;
+
+    this.renderMetatile(this.format, z, metatile.x, metatile.y, metatile, {}, this.source._mapPool, this.priority, (err, rendered) => {
+        this.rendering = false;
+
+        if (this.destroyed) {
+            return;
+        }
+
+        if (err) {
+            return this.destroy(err);
+        }
+
+        // All tiles of the metatile are pushed, `_read` is called again when
+        // the consumer needs more.
+        tiles.forEach(([ z, x, y ]) => {
+            const { image, headers } = rendered[`${z},${x},${y}`];
+
+            this.stats.done++;
+            this.push({ z, x, y, buffer: image, headers });
+        });
+    });
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+const { InvalidRequestError } = require('./errors');
+
+// Validates per-request render options and drops the ones that weren't given,
+// so they don't end up in the metatile cache keys.
+module.exports = {
+    normalizeTileOptions,
+    normalizeGridOptions
+};
+
+function normalizeTileOptions (options = {}) {
+    const renderOptions = {};
+
+    if (isDefined(options.scale)) {
+        renderOptions.scale = toPositiveNumber('scale', options.scale);
+    }
+
+    if (isDefined(options.bufferSize)) {
+        renderOptions.bufferSize = toNonNegativeInteger('bufferSize', options.bufferSize);
+    }
+
+    if (isDefined(options.variables)) {
+        renderOptions.variables = toVariables(options.variables);
+    }
+
+    // The drawing order comes from the style, sorting the layers lets requests
+    // listing them in another order share the cached tiles
+    if (isDefined(options.layers)) {
+        renderOptions.layers = toLayers('layers', options.layers).sort();
+    }
+
+    if (isDefined(options.excludeLayers)) {
+        renderOptions.excludeLayers = toLayers('excludeLayers', options.excludeLayers).sort();
+    }
+
+    return renderOptions;
+}
+
+function normalizeGridOptions (options = {}) {
+    const renderOptions = {};
+
+    if (isDefined(options.resolution)) {
+        renderOptions.resolution = toPositiveInteger('resolution', options.resolution);
+    }
+
+    if (isDefined(options.fields)) {
+        renderOptions.fields = toFields(options.fields);
+    }
+
+    if (isDefined(options.layers)) {
+        renderOptions.layers = toLayers('layers', options.layers);
+    }
+
+    if (isDefined(options.merge)) {
+        renderOptions.merge = toBoolean('merge', options.merge);
+    }
+
+    if (isDefined(options.variables)) {
+        renderOptions.variables = toVariables(options.variables);
+    }
+
+    return renderOptions;
+}
+
+function isDefined (value) {
+    return typeof value !== 'undefined' && value !== null;
+}
+
+function toPositiveNumber (name, value) {
+    const number = +value;
+
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new InvalidRequestError(`Invalid render option ${name}: ${value}`);
+    }
+
+    return number;
+}
+
+function toPositiveInteger (name, value) {
+    const number = toPositiveNumber(name, value);
+
+    if (!Number.isInteger(number)) {
+        throw new InvalidRequestError(`Invalid render option ${name}: ${value}`);
+    }
+
+    return number;
+}
+
+function toNonNegativeInteger (name, value) {
+    const number = +value;
+
+    if (!Number.isInteger(number) || number < 0) {
+        throw new InvalidRequestError(`Invalid render option ${name}: ${value}`);
+    }
+
+    return number;
+}
+
+// Mapnik ignores variables that aren't strings, numbers or booleans
+function toVariables (variables) {
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        throw new InvalidRequestError(`Invalid render option variables: ${variables}`);
+    }
+
+    Object.keys(variables).forEach((name) => {
+        if (![ 'string', 'number', 'boolean' ].includes(typeof variables[name])) {
+            throw new InvalidRequestError(`Invalid render option variables: ${name}`);
+        }
+    });
+
+    return Object.assign({}, variables);
+}
+
+function toFields (fields) {
+    const list = Array.isArray(fields) ? fields : String(fields).split(',');
+
+    if (list.length === 0 || list.some((field) => typeof field !== 'string' || field.length === 0)) {
+        throw new InvalidRequestError(`Invalid render option fields: ${fields}`);
+    }
+
+    return list;
+}
+
+function toLayers (name, layers) {
+    const list = Array.isArray(layers) ? layers : String(layers).split(',');
+
+    if (list.length === 0 || list.some((layer) => typeof layer !== 'string' || layer.length === 0)) {
+        throw new InvalidRequestError(`Invalid render option ${name}: ${layers}`);
+    }
+
+    return list.filter((layer, index) => list.indexOf(layer) === index);
+}
+
+function toBoolean (name, value) {
+    if (typeof value !== 'boolean') {
+        throw new InvalidRequestError(`Invalid render option ${name}: ${value}`);
+    }
+
+    return value;
+}
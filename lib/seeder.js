@@ -0,0 +1,262 @@
+'use strict';
+
+const util = require('util');
+const EventEmitter = require('events');
+const createPyramid = require('./pyramid');
+const { normalizePyramidOptions } = createPyramid;
+const resolveFormat = require('./formats');
+const timeoutDecorator = require('./utils/timeout-decorator');
+const { normalizePriority } = require('./priority-pool');
+const { InvalidRequestError, UnavailableError } = require('./errors');
+
+// Renders every metatile of a pyramid once per format and hands the tiles
+// within the bbox to `sink.putTile(tile, callback)`, where `tile` is
+// `{ format, z, x, y, image, headers }`. It bypasses the metatile cache.
+// With the `resume` option, metatiles whose tiles are all in the sink already,
+// as told by `sink.hasTile({ format, z, x, y }, callback)`, aren't rendered.
+//
+// Seeders are `EventEmitter`s that start on the next tick and emit:
+//   - progress: `{ tiles, totalTiles, metatiles, totalMetatiles, elapsed, eta }`
+//     after every metatile, times in milliseconds.
+//   - error: when a render or the sink fails, seeding stops.
+//   - end: `{ tiles, metatiles, elapsed, aborted }` once done or aborted.
+module.exports = function createSeeder (source, options, sink, config) {
+    return new Seeder(source, options, sink, config);
+};
+
+function Seeder(source, options, sink, { tileSize, metatile, tileMatrixSet, limits = {} }) {
+    EventEmitter.call(this);
+
+    this.source = source;
+    this.sink = sink;
+    this.paused = false;
+    this.aborted = false;
+    this.ended = false;
+    this.exhausted = false;
+    this.workers = 0;
+    this.tiles = 0;
+    this.metatiles = 0;
+    this.elapsed = 0;
+
+    try {
+        this.options = normalizeSeedOptions(options, sink);
+    } catch (err) {
+        setImmediate(() => this._fail(err));
+        return;
+    }
+
+    const pyramid = createPyramid({
+        bbox: this.options.bbox,
+        minzoom: this.options.minzoom,
+        maxzoom: this.options.maxzoom,
+        metatile,
+        tileSize,
+        tileMatrixSet
+    });
+    const count = pyramid.count();
+
+    this.totalTiles = count.tiles * this.options.formats.length;
+    this.totalMetatiles = count.metatiles * this.options.formats.length;
+    this.jobs = jobs(pyramid, this.options.formats);
+    this.renderMetatile = timeoutDecorator(source._renderMetatile.bind(source), limits.render);
+
+    setImmediate(() => this._start());
+}
+
+util.inherits(Seeder, EventEmitter);
+
+// Metatiles being rendered are finished before pausing
+Seeder.prototype.pause = function () {
+    if (!this.paused && !this.ended) {
+        this.paused = true;
+        this._stopClock();
+    }
+};
+
+Seeder.prototype.resume = function () {
+    if (this.paused && !this.ended) {
+        this.paused = false;
+        this._start();
+    }
+};
+
+// Metatiles being rendered are finished but not handed to the sink
+Seeder.prototype.abort = function () {
+    if (!this.ended) {
+        this.aborted = true;
+        this._maybeEnd();
+    }
+};
+
+Seeder.prototype._start = function () {
+    if (this.ended || this.paused || this.aborted) {
+        return this._maybeEnd();
+    }
+
+    if (!this.source.open) {
+        return this._fail(new UnavailableError('Tileset is not open'));
+    }
+
+    this.startTime = Date.now();
+
+    while (this.workers < this.options.concurrency) {
+        this.workers++;
+        this._work();
+    }
+};
+
+Seeder.prototype._work = function () {
+    const job = !this.paused && !this.aborted && !this.ended ? this.jobs.next() : { done: true };
+
+    if (job.done) {
+        this.workers--;
+        this.exhausted = this.exhausted || !(this.paused || this.aborted || this.ended);
+        return this._maybeEnd();
+    }
+
+    this._seedMetatile(job.value, (err) => {
+        if (this.ended) {
+            return;
+        }
+
+        if (err) {
+            this.workers--;
+            return this._fail(err);
+        }
+
+        if (!this.aborted) {
+            this.metatiles++;
+            this.tiles += job.value.tiles.length;
+            this.emit('progress', this._progress());
+        }
+
+        this._work();
+    });
+};
+
+Seeder.prototype._seedMetatile = function (job, callback) {
+    if (!this.options.resume) {
+        return this._renderMetatile(job, callback);
+    }
+
+    const { format, tiles } = job;
+
+    Promise.all(tiles.map(([ z, x, y ]) => new Promise((resolve, reject) => {
+        this.sink.hasTile({ format, z, x, y }, (err, exists) => err ? reject(err) : resolve(exists));
+    })))
+    .then((exist) => {
+        if (exist.every(Boolean)) {
+            return callback();
+        }
+
+        this._renderMetatile(job, callback);
+    }, callback);
+};
+
+Seeder.prototype._renderMetatile = function ({ format, z, metatile, tiles }, callback) {
+    this.renderMetatile(format, z, metatile.x, metatile.y, metatile, {}, this.source._mapPool, this.options.priority, (err, rendered) => {
+        if (err) {
+            return callback(err);
+        }
+
+        // tiles are handed to the sink one by one, in order
+        const putTiles = tiles.reduce((previous, [ z, x, y ]) => previous.then(() => {
+            if (this.aborted || this.ended) {
+                return;
+            }
+
+            const { image, headers } = rendered[`${z},${x},${y}`];
+
+            return new Promise((resolve, reject) => {
+                this.sink.putTile({ format, z, x, y, image, headers }, (err) => err ? reject(err) : resolve());
+            });
+        }), Promise.resolve());
+
+        putTiles.then(() => callback(), callback);
+    });
+};
+
+Seeder.prototype._progress = function () {
+    const elapsed = this._elapsed();
+    const remaining = this.totalTiles - this.tiles;
+
+    return {
+        tiles: this.tiles,
+        totalTiles: this.totalTiles,
+        metatiles: this.metatiles,
+        totalMetatiles: this.totalMetatiles,
+        elapsed,
+        eta: this.tiles > 0 ? Math.round(elapsed / this.tiles * remaining) : undefined
+    };
+};
+
+// Time spent seeding, not counting pauses
+Seeder.prototype._elapsed = function () {
+    return this.elapsed + (this.startTime ? Date.now() - this.startTime : 0);
+};
+
+Seeder.prototype._stopClock = function () {
+    this.elapsed = this._elapsed();
+    this.startTime = undefined;
+};
+
+Seeder.prototype._maybeEnd = function () {
+    if (this.ended || this.workers > 0 || !(this.aborted || this.exhausted)) {
+        return;
+    }
+
+    this._stopClock();
+    this.ended = true;
+    this.emit('end', { tiles: this.tiles, metatiles: this.metatiles, elapsed: this.elapsed, aborted: this.aborted });
+};
+
+Seeder.prototype._fail = function (err) {
+    this._stopClock();
+    this.ended = true;
+    this.emit('error', err);
+};
+
+function* jobs (pyramid, formats) {
+    for (const { z, metatile, tiles } of pyramid.metatiles()) {
+        for (const format of formats) {
+            yield { format, z, metatile, tiles };
+        }
+    }
+}
+
+function normalizeSeedOptions (options = {}, sink) {
+    const { formats, concurrency = 1, resume = false, priority } = options;
+
+    if (!sink || typeof sink.putTile !== 'function') {
+        throw new Error('Seeding requires a sink implementing putTile');
+    }
+
+    if (resume && typeof sink.hasTile !== 'function') {
+        throw new Error('Resuming requires a sink implementing hasTile');
+    }
+
+    const { bbox, minzoom, maxzoom } = normalizePyramidOptions(options, 'seed');
+    const formatList = Array.isArray(formats) ? formats : [ formats ];
+
+    if (formatList.length === 0) {
+        throw new InvalidRequestError(`Invalid seed option formats: ${formats}`);
+    }
+
+    // unknown formats fail before rendering anything
+    formatList.forEach((format) => resolveFormat(format));
+
+    if (!Number.isInteger(+concurrency) || +concurrency <= 0) {
+        throw new InvalidRequestError(`Invalid seed option concurrency: ${concurrency}`);
+    }
+
+    return {
+        bbox,
+        minzoom,
+        maxzoom,
+        formats: formatList,
+        concurrency: +concurrency,
+        resume: !!resume,
+        // seeding shouldn't keep viewers waiting
+        priority: normalizePriority('seed', priority, 'low')
+    };
+}
@@ -0,0 +1,84 @@
+'use strict';
+
+const mercator = require('./utils/mercator');
+const resolveFormat = require('./formats');
+const { InvalidRequestError } = require('./errors');
+
+// Validates the options of a static image request and resolves the extent,
+// in spherical mercator, to render. Either `bbox` ([ west, south, east, north ]
+// in WGS84) or `center` ([ lon, lat ]) plus `zoom` are required.
+module.exports = function normalizeStaticOptions (options, defaults) {
+    options = options || {};
+
+    const width = +options.width;
+    const height = +options.height;
+
+    if (!isPositiveInteger(width) || !isPositiveInteger(height)) {
+        throw new InvalidRequestError('Invalid static image size: ' + options.width + 'x' + options.height);
+    }
+
+    const format = options.format || defaults.format;
+
+    if (resolveFormat(format).kind !== 'image') {
+        throw new InvalidRequestError('Invalid static image format: ' + format);
+    }
+
+    const scale = options.scale !== undefined && options.scale !== null ? +options.scale : defaults.scale;
+
+    if (!Number.isFinite(scale) || scale <= 0) {
+        throw new InvalidRequestError('Invalid static image scale: ' + options.scale);
+    }
+
+    const variables = Object.assign({}, defaults.variables, options.variables);
+
+    let bbox;
+    let zoom;
+
+    if (options.bbox) {
+        if (!isValidBoundingBox(options.bbox)) {
+            throw new InvalidRequestError('Invalid static image bbox: ' + options.bbox);
+        }
+
+        bbox = mercator.forwardBoundingBox(options.bbox.map(Number));
+        zoom = mercator.zoomForResolution(Math.max((bbox[2] - bbox[0]) / width, (bbox[3] - bbox[1]) / height));
+    } else if (options.center && options.hasOwnProperty('zoom')) {
+        zoom = +options.zoom;
+
+        if (!isValidCenter(options.center) || !Number.isFinite(zoom) || zoom < 0) {
+            throw new InvalidRequestError('Invalid static image center/zoom: ' + options.center + '/' + options.zoom);
+        }
+
+        const [ x, y ] = mercator.forward(options.center.map(Number));
+        const halfWidth = width * mercator.resolution(zoom) / 2;
+        const halfHeight = height * mercator.resolution(zoom) / 2;
+
+        bbox = [ x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight ];
+    } else {
+        throw new InvalidRequestError('Static image requires either a bbox or a center and zoom');
+    }
+
+    variables.zoom = zoom;
+
+    return {
+        // The image grows with the scale factor so the rendered extent stays the same.
+        width: Math.round(width * scale),
+        height: Math.round(height * scale),
+        bbox,
+        format,
+        scale,
+        variables
+    };
+};
+
+function isPositiveInteger (value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function isValidBoundingBox (bbox) {
+    return Array.isArray(bbox) && bbox.length === 4 && bbox.every((value) => Number.isFinite(+value)) &&
+        +bbox[0] < +bbox[2] && +bbox[1] < +bbox[3];
+}
+
+function isValidCenter (center) {
+    return Array.isArray(center) && center.length >= 2 && Number.isFinite(+center[0]) && Number.isFinite(+center[1]);
+}
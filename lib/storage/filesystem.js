@@ -0,0 +1,133 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { parseKey } = require('../utils/cache-key');
+const writeAtomically = require('../utils/write-atomically');
+const resolveFormat = require('../formats');
+
+const readFile = promisify(fs.readFile);
+const unlink = promisify(fs.unlink);
+const mkdir = promisify(fs.mkdir);
+const readdir = promisify(fs.readdir);
+const rmdir = promisify(fs.rmdir);
+
+const PLAIN_FORMAT = /^[a-z]+$/i;
+
+// Persistent tile storage that keeps tiles as `{z}/{x}/{y}.{ext}` files under
+// `options.path`, with their headers next to them in `{y}.{ext}.headers`.
+// The extension is the one of the format (`jpg` for `jpeg`, `pbf` for `mvt`,
+// `grid.json` for grids), formats with parameters (e.g. `png8:m=h`, `jpeg80`)
+// or tiles with render options get a hash of them too (e.g. `{y}.3f2a9c1b.png`)
+// so variants don't overwrite each other.
+//
+// Storage adapters implement `get(key)`, `set(key, tile)` and `del(key)`
+// returning promises, where `key` is a metatile cache key and `tile` is
+// `{ image, headers }`. `get` resolves to `undefined` for unknown keys.
+// Optionally, `clear()` removes every tile once the style is updated.
+function FilesystemStorage(options) {
+    if (!options || !options.path) {
+        throw new Error('FilesystemStorage requires a path');
+    }
+
+    this.path = path.resolve(options.path);
+}
+
+module.exports = FilesystemStorage;
+
+FilesystemStorage.prototype.get = function (key) {
+    const filename = this.filename(key);
+
+    return Promise.all([ readFile(filename), readFile(`${filename}.headers`, 'utf8') ])
+        .then(([ data, headers ]) => {
+            const { format } = parseKey(key);
+
+            headers = JSON.parse(headers);
+
+            // compressed grids are served as they are stored
+            const image = format === 'utf' && !headers['Content-Encoding'] ? JSON.parse(data.toString('utf8')) : data;
+
+            return { image, headers };
+        })
+        .catch((err) => {
+            if (err.code === 'ENOENT') {
+                return undefined;
+            }
+
+            throw err;
+        });
+};
+
+FilesystemStorage.prototype.set = function (key, { image, headers }) {
+    const filename = this.filename(key);
+    const data = Buffer.isBuffer(image) ? image : JSON.stringify(image);
+
+    return mkdir(path.dirname(filename), { recursive: true })
+        .then(() => Promise.all([
+            writeAtomically(filename, data),
+            writeAtomically(`${filename}.headers`, JSON.stringify(headers || {}))
+        ]))
+        .then(() => undefined);
+};
+
+FilesystemStorage.prototype.del = function (key) {
+    const filename = this.filename(key);
+
+    return Promise.all([ filename, `${filename}.headers` ].map((file) => {
+        return unlink(file).catch((err) => {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        });
+    }))
+    .then(() => undefined);
+};
+
+FilesystemStorage.prototype.clear = function () {
+    return readdir(this.path)
+        .catch((err) => {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+
+            throw err;
+        })
+        .then((entries) => Promise.all(entries.map((entry) => removeTree(path.join(this.path, entry)))))
+        .then(() => undefined);
+};
+
+FilesystemStorage.prototype.filename = function (key) {
+    const { format, z, x, y, options } = parseKey(key);
+
+    return path.join(this.path, String(z), String(x), `${y}.${extension(format, options)}`);
+};
+
+function extension (format, options) {
+    const name = resolveFormat(format).extension;
+
+    if (PLAIN_FORMAT.test(format) && Object.keys(options).length === 0) {
+        return name;
+    }
+
+    const variant = crypto.createHash('md5').update(JSON.stringify([ format, options ])).digest('hex').slice(0, 8);
+
+    return `${variant}.${name}`;
+}
+
+function removeTree (file) {
+    return unlink(file).catch((err) => {
+        if (err.code === 'ENOENT') {
+            return;
+        }
+
+        if (err.code !== 'EISDIR' && err.code !== 'EPERM') {
+            throw err;
+        }
+
+        return readdir(file)
+            .then((entries) => Promise.all(entries.map((entry) => removeTree(path.join(file, entry)))))
+            .then(() => rmdir(file));
+    });
+}
@@ -0,0 +1,149 @@
+'use strict';
+
+const mercator = require('./utils/mercator');
+const { ConfigurationError } = require('./errors');
+
+const { ORIGIN_SHIFT } = mercator;
+
+// Tiny tolerance to absorb floating point noise when fitting tiles in the extent
+const EPSILON = 1e-9;
+
+const PRESETS = {
+    'EPSG:3857': {
+        origin: [ -ORIGIN_SHIFT, ORIGIN_SHIFT ],
+        extent: [ -ORIGIN_SHIFT, -ORIGIN_SHIFT, ORIGIN_SHIFT, ORIGIN_SHIFT ],
+        tileSize: 256,
+        topLevel: [ 1, 1 ]
+    },
+    'EPSG:4326': {
+        origin: [ -180, 90 ],
+        extent: [ -180, -90, 180, 90 ],
+        tileSize: 256,
+        topLevel: [ 2, 1 ]
+    }
+};
+
+const DEFAULT_PRESET = 'EPSG:3857';
+
+// Creates the tile grid used to calculate tile and metatile bounding boxes.
+// `definition` is either the name of a preset ('EPSG:3857', 'EPSG:4326') or an
+// object with:
+//   - extent: [ minx, miny, maxx, maxy ] covered by the grid, in map units.
+//   - origin: [ x, y ] top-left corner of the grid, defaults to [ minx, maxy ].
+//   - tileSize: size of the tiles in pixels, defaults to 256.
+//   - topLevel: [ columns, rows ] of the matrix at zoom 0, defaults to [ 1, 1 ].
+//   - resolutions: map units per pixel for every zoom level. When not given,
+//     every zoom level halves the resolution of the previous one.
+module.exports = function createTileMatrixSet (definition = DEFAULT_PRESET) {
+    if (typeof definition === 'string') {
+        if (!PRESETS.hasOwnProperty(definition)) {
+            throw new ConfigurationError('Invalid tile matrix set: unknown preset ' + definition);
+        }
+
+        return new TileMatrixSet(PRESETS[definition], definition);
+    }
+
+    return new TileMatrixSet(definition);
+};
+
+module.exports.PRESETS = Object.keys(PRESETS);
+
+function TileMatrixSet(definition, name) {
+    const { extent, origin, tileSize = 256, topLevel = [ 1, 1 ], resolutions } = definition || {};
+
+    if (!isNumberArray(extent, 4) || extent[0] >= extent[2] || extent[1] >= extent[3]) {
+        throw new ConfigurationError('Invalid tile matrix set: extent must be [ minx, miny, maxx, maxy ]');
+    }
+
+    if (typeof origin !== 'undefined' && !isNumberArray(origin, 2)) {
+        throw new ConfigurationError('Invalid tile matrix set: origin must be [ x, y ]');
+    }
+
+    if (!Number.isInteger(+tileSize) || +tileSize <= 0) {
+        throw new ConfigurationError('Invalid tile matrix set: tileSize must be a positive integer');
+    }
+
+    if (!isNumberArray(topLevel, 2) || !topLevel.every((value) => Number.isInteger(+value) && +value > 0)) {
+        throw new ConfigurationError('Invalid tile matrix set: topLevel must be [ columns, rows ]');
+    }
+
+    if (typeof resolutions !== 'undefined' &&
+        (!isNumberArray(resolutions, resolutions.length) || resolutions.length === 0 || resolutions.some((res) => +res <= 0))) {
+        throw new ConfigurationError('Invalid tile matrix set: resolutions must be a list of positive numbers');
+    }
+
+    this.extent = extent.map(Number);
+    this.origin = origin ? origin.map(Number) : [ this.extent[0], this.extent[3] ];
+    this.tileSize = +tileSize;
+    this.topLevel = topLevel.map(Number);
+    this.resolutions = resolutions ? resolutions.map(Number) : undefined;
+    this.name = name; // preset name, if any
+}
+
+// Map units per pixel at zoom `z`
+TileMatrixSet.prototype.resolution = function (z) {
+    if (this.resolutions) {
+        return this.resolutions[z];
+    }
+
+    const width = this.extent[2] - this.extent[0];
+
+    return width / (this.topLevel[0] * this.tileSize) / Math.pow(2, z);
+};
+
+// Number of columns and rows of the matrix at zoom `z`
+TileMatrixSet.prototype.matrixSize = function (z) {
+    if (!this.resolutions) {
+        const total = Math.pow(2, z);
+        return { width: this.topLevel[0] * total, height: this.topLevel[1] * total };
+    }
+
+    if (!Number.isInteger(z) || z < 0 || z >= this.resolutions.length) {
+        return { width: 0, height: 0 };
+    }
+
+    const span = this.resolutions[z] * this.tileSize;
+
+    return {
+        width: Math.ceil((this.extent[2] - this.origin[0]) / span - EPSILON),
+        height: Math.ceil((this.origin[1] - this.extent[1]) / span - EPSILON)
+    };
+};
+
+// Only the preset counts, Mapnik computes the extent of vector tiles and the
+// backend the one of static images in spherical mercator
+TileMatrixSet.prototype.isSphericalMercator = function () {
+    return this.name === 'EPSG:3857';
+};
+
+// Map units of a point given in WGS84 for the spherical mercator preset, or
+// already in map units for any other tile matrix set
+TileMatrixSet.prototype.forward = function (point) {
+    return this.isSphericalMercator() ? mercator.forward(point) : point;
+};
+
+// Columns and rows of the tiles at zoom `z` intersecting `bbox`, given in map
+// units, as { minx, miny, maxx, maxy }. Null when no tile intersects it.
+TileMatrixSet.prototype.tileRange = function (bbox, z) {
+    const { width, height } = this.matrixSize(z);
+
+    if (width === 0 || height === 0) {
+        return null;
+    }
+
+    const span = this.resolution(z) * this.tileSize;
+    const minx = Math.max(0, Math.floor((bbox[0] - this.origin[0]) / span + EPSILON));
+    const maxx = Math.min(width - 1, Math.ceil((bbox[2] - this.origin[0]) / span - EPSILON) - 1);
+    const miny = Math.max(0, Math.floor((this.origin[1] - bbox[3]) / span + EPSILON));
+    const maxy = Math.min(height - 1, Math.ceil((this.origin[1] - bbox[1]) / span - EPSILON) - 1);
+
+    if (minx > maxx || miny > maxy) {
+        return null;
+    }
+
+    return { minx, miny, maxx, maxy };
+};
+
+function isNumberArray (value, length) {
+    return Array.isArray(value) && value.length === length && value.every((item) => Number.isFinite(+item));
+}
@@ -0,0 +1,78 @@
+'use strict';
+
+const resolveFormat = require('./formats');
+
+const TILEJSON_VERSION = '3.0.0';
+const DEFAULT_MINZOOM = 0;
+const DEFAULT_MAXZOOM = 22;
+const DEFAULT_BOUNDS = [ -180, -85.05112877980659, 180, 85.05112877980659 ];
+
+// Build a TileJSON document from the `<Parameters>` and layers of a map.
+// Parameters not covered by the spec are passed through as they are.
+// `tiles`, the URL templates of the tiles, overrides the comma separated
+// `tiles` parameter. The spec requires them, so without either they are
+// `{z}/{x}/{y}.<extension>`, relative to the URL of the TileJSON.
+module.exports = function createTileJSON (map, format, tiles) {
+    const parameters = map.parameters || {};
+    const info = Object.assign({}, parameters);
+
+    info.tilejson = TILEJSON_VERSION;
+    info.scheme = 'xyz';
+    info.format = format;
+
+    if (tiles) {
+        info.tiles = tiles.slice();
+    } else if (parameters.hasOwnProperty('tiles')) {
+        info.tiles = String(parameters.tiles).split(',');
+    } else {
+        info.tiles = [ `{z}/{x}/{y}.${resolveFormat(format).extension}` ];
+    }
+
+    info.minzoom = parameters.hasOwnProperty('minzoom') ? parseInt(parameters.minzoom, 10) : DEFAULT_MINZOOM;
+    info.maxzoom = parameters.hasOwnProperty('maxzoom') ? parseInt(parameters.maxzoom, 10) : DEFAULT_MAXZOOM;
+
+    info.bounds = parameters.hasOwnProperty('bounds') ? parseNumbers(parameters.bounds) : DEFAULT_BOUNDS.slice();
+
+    if (parameters.hasOwnProperty('center')) {
+        info.center = parseNumbers(parameters.center);
+    } else {
+        const [ minx, miny, maxx, maxy ] = info.bounds;
+        info.center = [ (minx + maxx) / 2, (miny + maxy) / 2, info.minzoom ];
+    }
+
+    if (parameters.hasOwnProperty('interactivity_fields')) {
+        info.interactivity_fields = String(parameters.interactivity_fields).split(',');
+    }
+
+    info.vector_layers = getVectorLayers(map, info);
+
+    return info;
+};
+
+function parseNumbers (value) {
+    return String(value).split(',').map(parseFloat);
+}
+
+function getVectorLayers (map, { minzoom, maxzoom }) {
+    const layers = typeof map.layers === 'function' ? map.layers() : [];
+
+    return layers.map((layer) => {
+        return {
+            id: layer.name,
+            description: '',
+            minzoom,
+            maxzoom,
+            fields: getLayerFields(layer)
+        };
+    });
+}
+
+function getLayerFields (layer) {
+    try {
+        const { fields } = layer.datasource.describe();
+        return Object.assign({}, fields);
+    } catch (err) {
+        // layers without a (valid) datasource have no fields to report
+        return {};
+    }
+}
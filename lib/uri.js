@@ -52,12 +52,54 @@ module.exports = function normalizeURI (uri) {
         uri.query.scale = +uri.query.scale;
     }
 
+    // Tile grid, either a preset name (e.g. 'EPSG:4326') or a definition object,
+    // see tile-matrix-set.js. Definitions coming from a query string are JSON.
+    if (typeof uri.query.tileMatrixSet === 'string' && uri.query.tileMatrixSet.trim().charAt(0) === '{') {
+        uri.query.tileMatrixSet = JSON.parse(uri.query.tileMatrixSet);
+    }
+
+    // Default Mapnik variables, merged under the ones of each request, JSON in
+    // a query string.
+    if (typeof uri.query.variables === 'string') {
+        uri.query.variables = JSON.parse(uri.query.variables);
+    }
+
+    // `Cache-Control` max-age of tiles and grids, a number of seconds or an
+    // object of zoom ranges (see cache-control.js), JSON in a query string.
+    if (typeof uri.query.maxAge === 'string' && uri.query.maxAge.trim().charAt(0) === '{') {
+        uri.query.maxAge = JSON.parse(uri.query.maxAge);
+    }
+
+    // URL templates of the tiles in the TileJSON, repeated in a query string
+    // for more than one.
+    if (typeof uri.query.tiles === 'string') {
+        uri.query.tiles = [ uri.query.tiles ];
+    }
+
+    // Compression for vector tiles (mvt/pbf): 'none', 'gzip' or 'br'
+    if (!uri.query.vectorCompression) {
+        uri.query.vectorCompression = 'none';
+    }
+
+    // Compression for grids: 'none', 'gzip' or 'br'
+    if (!uri.query.gridCompression) {
+        uri.query.gridCompression = 'none';
+    }
+
     uri.query.limits = uri.query.limits || {};
 
     if (typeof uri.query.limits.render === 'undefined') {
         uri.query.limits.render = 0;
+    } else {
+        uri.query.limits.render = +uri.query.limits.render;
     }
 
+    // Keep the tiles of a render that finished after timing out, so later
+    // requests can use them
+    uri.query.limits.cacheOnTimeout = uri.query.limits.hasOwnProperty('cacheOnTimeout') ?
+        asBool(uri.query.limits.cacheOnTimeout) :
+        false;
+
     uri.query.metatileCache = uri.query.metatileCache || {};
 
     // Time to live in ms for cached tiles/grids
@@ -72,6 +114,11 @@ module.exports = function normalizeURI (uri) {
         asBool(uri.query.metatileCache.deleteOnHit) :
         false;
 
+    // Bounds for the results kept in the cache, the least recently used ones
+    // are evicted first. 0 means no limit.
+    uri.query.metatileCache.maxEntries = +uri.query.metatileCache.maxEntries || 0;
+    uri.query.metatileCache.maxBytes = +uri.query.metatileCache.maxBytes || 0;
+
     if (typeof uri.query.metrics === 'undefined') {
         uri.query.metrics = false;
     } else {
@@ -86,6 +133,41 @@ module.exports = function normalizeURI (uri) {
         uri.query.poolMaxWaitingClients = 32;
     }
 
+    // Budget in ms for the estimated wait for a map, requests over it fail
+    // fast. 0 disables it.
+    if (typeof uri.query.poolMaxWait === 'undefined') {
+        uri.query.poolMaxWait = 0;
+    } else {
+        uri.query.poolMaxWait = +uri.query.poolMaxWait;
+    }
+
+    // Lifecycle of the maps of the pool, see map-pool.js. 0 disables each of
+    // them.
+    [ 'poolMin', 'poolMaxRenders', 'poolMaxAge', 'poolIdleTimeout' ].forEach((name) => {
+        uri.query[name] = typeof uri.query[name] === 'undefined' ? 0 : +uri.query[name];
+    });
+
+    // Idle maps are checked as often as they can time out by default
+    if (typeof uri.query.poolEvictionInterval === 'undefined') {
+        uri.query.poolEvictionInterval = uri.query.poolIdleTimeout;
+    } else {
+        uri.query.poolEvictionInterval = +uri.query.poolEvictionInterval;
+    }
+
+    // Maps of the pool only high priority requests can use
+    if (typeof uri.query.poolReserved === 'undefined') {
+        uri.query.poolReserved = 0;
+    } else {
+        uri.query.poolReserved = +uri.query.poolReserved;
+    }
+
+    // Map pools of the layer subsets requested kept at once, see layer-pools.js
+    if (typeof uri.query.poolLayerSubsets === 'undefined') {
+        uri.query.poolLayerSubsets = 8;
+    } else {
+        uri.query.poolLayerSubsets = +uri.query.poolLayerSubsets;
+    }
+
     return uri;
 };
 
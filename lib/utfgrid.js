@@ -0,0 +1,129 @@
+'use strict';
+
+const { InvalidRequestError, NotFoundError } = require('./errors');
+
+// Interactivity is configured with the `interactivity_layer` map parameter, a
+// comma separated list of layers, and `interactivity_fields`. A layer gets its
+// own fields with an `interactivity_fields.<layer>` parameter.
+module.exports = {
+    interactivityLayers,
+    selectInteractivityLayers,
+    mergeGrids
+};
+
+// Returns `{ [layer]: fields }` for every interactive layer with fields
+function interactivityLayers (parameters = {}) {
+    const layers = toList(parameters.interactivity_layer);
+
+    return layers.reduce((configured, layer) => {
+        const fields = toList(pick(parameters[`interactivity_fields.${layer}`], parameters.interactivity_fields));
+
+        if (fields.length > 0) {
+            configured[layer] = fields;
+        }
+
+        return configured;
+    }, {});
+}
+
+// Returns `[ { layer, fields } ]` for the `requested` layers, all of the
+// interactive ones by default.
+function selectInteractivityLayers (parameters, requested) {
+    const configured = interactivityLayers(parameters);
+    const layers = requested || Object.keys(configured);
+
+    if (layers.length === 0) {
+        throw new NotFoundError('Tileset has no interactivity');
+    }
+
+    return layers.map((layer) => {
+        if (!configured.hasOwnProperty(layer)) {
+            throw new InvalidRequestError(`Unknown interactivity layer: ${layer}`);
+        }
+
+        return { layer, fields: configured[layer] };
+    });
+}
+
+// Merges the encoded UTFGrids `[ { layer, grid } ]` of the same tile into one,
+// whose keys are prefixed with the layer name (`layer:key`). Layers are listed
+// bottom to top: the last layer with a feature in a pixel wins.
+function mergeGrids (layers) {
+    const keys = [ '' ];
+    const data = {};
+    const indexes = { '': 0 };
+    const rows = layers[0].grid.grid.length;
+    const grid = [];
+
+    for (let row = 0; row < rows; row++) {
+        let line = '';
+
+        for (let column = 0; column < layers[0].grid.grid[row].length; column++) {
+            let key = '';
+
+            for (let index = layers.length - 1; index >= 0 && key === ''; index--) {
+                const { layer, grid: layerGrid } = layers[index];
+                const layerKey = layerGrid.keys[decode(layerGrid.grid[row].charCodeAt(column))];
+
+                if (layerKey) {
+                    key = `${layer}:${layerKey}`;
+
+                    if (!indexes.hasOwnProperty(key)) {
+                        indexes[key] = keys.push(key) - 1;
+
+                        if (layerGrid.data && layerGrid.data.hasOwnProperty(layerKey)) {
+                            data[key] = layerGrid.data[layerKey];
+                        }
+                    }
+                }
+            }
+
+            line += String.fromCharCode(encode(indexes[key]));
+        }
+
+        grid.push(line);
+    }
+
+    return { grid, keys, data };
+}
+
+// UTFGrid characters skip `"` (34) and `\` (92)
+function decode (code) {
+    if (code >= 93) {
+        code--;
+    }
+
+    if (code >= 35) {
+        code--;
+    }
+
+    return code - 32;
+}
+
+function encode (index) {
+    let code = index + 32;
+
+    if (code >= 34) {
+        code++;
+    }
+
+    if (code >= 92) {
+        code++;
+    }
+
+    return code;
+}
+
+function toList (value) {
+    if (typeof value === 'undefined' || value === null) {
+        return [];
+    }
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+
+    return list.map((item) => String(item).trim()).filter((item) => item.length > 0);
+}
+
+function pick (value, defaultValue) {
+    return typeof value === 'undefined' ? defaultValue : value;
+}
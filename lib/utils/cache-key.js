@@ -0,0 +1,45 @@
+'use strict';
+
+// Metatile cache keys look like `format,z,x,y` followed, when there are
+// per-request render options, by the options serialized as JSON with sorted
+// keys so the same options always produce the same key.
+module.exports = {
+    createKey,
+    parseKey
+};
+
+function createKey (format, z, x, y, options = {}) {
+    const key = [ format, z, x, y ].join(',');
+    const serializedOptions = serialize(options);
+
+    return serializedOptions === '{}' ? key : `${key},${serializedOptions}`;
+}
+
+function parseKey (key) {
+    const [ format, z, x, y, ...rest ] = key.split(',');
+    const options = rest.length ? JSON.parse(rest.join(',')) : {};
+
+    return { format, z: +z, x: +x, y: +y, options };
+}
+
+function serialize (value) {
+    return JSON.stringify(sortKeys(value));
+}
+
+function sortKeys (value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    return Object.keys(value).sort().reduce((sorted, key) => {
+        if (typeof value[key] !== 'undefined') {
+            sorted[key] = sortKeys(value[key]);
+        }
+
+        return sorted;
+    }, {});
+}
@@ -0,0 +1,52 @@
+'use strict';
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const etag = require('./etag');
+const { ConfigurationError } = require('../errors');
+
+// Values of the `Content-Encoding` header
+const ENCODINGS = {
+    gzip: promisify(zlib.gzip),
+    br: promisify(zlib.brotliCompress)
+};
+
+module.exports = {
+    assertCompression,
+    compress,
+    compressTiles
+};
+
+// Compressions are 'none', 'gzip' or 'br' (brotli)
+function assertCompression (name, value) {
+    if (value !== 'none' && !ENCODINGS.hasOwnProperty(value)) {
+        throw new ConfigurationError(`Invalid compression option ${name}: ${value}`);
+    }
+}
+
+function compress (data, compression) {
+    return ENCODINGS[compression](data);
+}
+
+// Compresses the tiles of a metatile, `{ [coords]: { image, headers, stats } }`,
+// setting their `Content-Encoding` and the ETag of the compressed content.
+// Grids are compressed as the JSON they are served as.
+function compressTiles (tiles, compression) {
+    if (!compression || compression === 'none') {
+        return Promise.resolve(tiles);
+    }
+
+    return Promise.all(Object.keys(tiles).map((key) => {
+        const { image, headers, stats } = tiles[key];
+        const data = Buffer.isBuffer(image) ? image : Buffer.from(JSON.stringify(image));
+
+        return compress(data, compression).then((compressed) => ({
+            [key]: {
+                image: compressed,
+                headers: Object.assign({}, headers, { 'Content-Encoding': compression, ETag: etag(compressed) }),
+                stats
+            }
+        }));
+    }))
+    .then((compressedTiles) => Object.assign({}, ...compressedTiles));
+}
@@ -1,20 +1,25 @@
 'use strict';
 
-module.exports = function areValidCoords ({ z, x, y }) {
+const createTileMatrixSet = require('../tile-matrix-set');
+const { InvalidRequestError, NotFoundError } = require('../errors');
+
+const DEFAULT_TILE_MATRIX_SET = createTileMatrixSet();
+
+module.exports = function areValidCoords ({ z, x, y }, tileMatrixSet = DEFAULT_TILE_MATRIX_SET) {
     areCoordsNumbers({ z, x, y });
-    areCoordsInRange({ z, x, y });
+    areCoordsInRange({ z, x, y }, tileMatrixSet);
 };
 
 function areCoordsNumbers ({ z, x, y }) {
     if (isNaN(z) || isNaN(x) || isNaN(y)) {
-        throw new Error('Invalid coordinates: '+z+'/'+x+'/'+y);
+        throw new InvalidRequestError('Invalid coordinates: '+z+'/'+x+'/'+y);
     }
 }
 
-function areCoordsInRange ({ z, x, y }) {
-    const max = Math.pow(2, z);
+function areCoordsInRange ({ z, x, y }, tileMatrixSet) {
+    const { width, height } = tileMatrixSet.matrixSize(z);
 
-    if (!isFinite(max) || x >= max || x < 0 || y >= max || y < 0) {
-        throw new Error('Coordinates out of range: '+z+'/'+x+'/'+y);
+    if (!isFinite(width) || !isFinite(height) || x >= width || x < 0 || y >= height || y < 0) {
+        throw new NotFoundError('Coordinates out of range: '+z+'/'+x+'/'+y);
     }
 }
@@ -0,0 +1,11 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Strong ETag from the content of an encoded tile. Grids are hashed as the
+// JSON they are served as.
+module.exports = function etag (image) {
+    const data = Buffer.isBuffer(image) ? image : JSON.stringify(image);
+
+    return `"${crypto.createHash('md5').update(data).digest('hex')}"`;
+};
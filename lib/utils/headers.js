@@ -1,26 +1,15 @@
 'use strict';
 
-module.exports = function getHeaders (format) {
-    const headers = {};
+const resolveFormat = require('../formats');
 
-    if (format === 'utf') {
-        headers['Content-Type'] = 'application/json';
-        return headers;
-    }
+module.exports = function getHeaders (format, options = {}) {
+    const headers = {};
 
-    // NOTE: formats use mapnik syntax like `png8:m=h` or `jpeg80`
-    // so we need custom handling for png/jpeg
-    if (format.indexOf('png') !== -1) {
-        headers['Content-Type'] = 'image/png';
-        return headers;
+    if (options.compression && options.compression !== 'none') {
+        headers['Content-Encoding'] = options.compression;
     }
 
-    if (format.indexOf('jpeg') !== -1 || format.indexOf('jpg') !== -1) {
-        headers['Content-Type'] = 'image/jpeg';
-        return headers;
-    }
+    headers['Content-Type'] = resolveFormat(format).type;
 
-    // will default to 'application/octet-stream' if unable to detect
-    headers['Content-Type'] = mime.getType(options.format.split(':')[0]);
     return headers;
 };
@@ -0,0 +1,39 @@
+'use strict';
+
+const EARTH_RADIUS = 6378137;
+const EARTH_DIAMETER = EARTH_RADIUS * 2;
+const EARTH_CIRCUMFERENCE = EARTH_DIAMETER * Math.PI;
+const MAX_RES = EARTH_CIRCUMFERENCE / 256;
+const ORIGIN_SHIFT = EARTH_CIRCUMFERENCE/2;
+const MAX_LATITUDE = 85.0511287798;
+
+module.exports = {
+    MAX_RES,
+    ORIGIN_SHIFT,
+    resolution,
+    zoomForResolution,
+    forward,
+    forwardBoundingBox
+};
+
+// Meters per pixel at a given zoom level
+function resolution (z) {
+    return MAX_RES / Math.pow(2, z);
+}
+
+function zoomForResolution (res) {
+    return Math.log2(MAX_RES / res);
+}
+
+// Project WGS84 coordinates into spherical mercator
+function forward ([ lon, lat ]) {
+    const clampedLat = Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE);
+    const x = lon * ORIGIN_SHIFT / 180;
+    const y = Math.log(Math.tan((90 + clampedLat) * Math.PI / 360)) / (Math.PI / 180) * ORIGIN_SHIFT / 180;
+
+    return [ x, y ];
+}
+
+function forwardBoundingBox ([ west, south, east, north ]) {
+    return [ ...forward([ west, south ]), ...forward([ east, north ]) ];
+}
@@ -1,20 +1,34 @@
 'use strict';
 
-module.exports = function timeoutDecorator(fn, ms) {
+var TimeoutError = require('../errors').TimeoutError;
+
+// Decorates `fn`, whose last argument is a callback, to fail with a
+// TimeoutError, 'Render timed out', when it doesn't call back within `ms`. A
+// value of 0 disables the timeout. Before the callback `fn` gets a `status` object whose
+// `timedOut` flag tells it to abandon the work. Optional hooks:
+//   - onTimeout(err): gets the timeout error instead of the callback.
+//   - onLateResult(...results): gets what `fn` calls back with after timing out.
+module.exports = function timeoutDecorator(fn, ms, hooks) {
+  var onTimeout = hooks && hooks.onTimeout;
+  var onLateResult = (hooks && hooks.onLateResult) || function () {};
+
   return function () {
-    var timeout = false;
+    var status = { timedOut: false };
+    var timeoutId;
     var args = [].slice.call(arguments, 0, arguments.length - 1);
     var callback = arguments[arguments.length - 1];
 
-    var timeoutId = setTimeout(function () {
-      timeout = true;
-      var err = new Error('Render timed out');
-      callback(err);
-    }, ms);
+    if (ms > 0) {
+      timeoutId = setTimeout(function () {
+        status.timedOut = true;
+        var err = new TimeoutError('Render timed out');
+        (onTimeout || callback)(err);
+      }, ms);
+    }
 
-    args.push(function decoratorCallback () {
-      if (timeout) {
-        return;
+    args.push(status, function decoratorCallback () {
+      if (status.timedOut) {
+        return onLateResult.apply(null, arguments);
       }
       clearTimeout(timeoutId);
       callback.apply(null, arguments);
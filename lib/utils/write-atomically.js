@@ -0,0 +1,16 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+
+// Readers in other processes never see a half written file
+module.exports = function writeAtomically (filename, data) {
+    const tmp = `${filename}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    return writeFile(tmp, data)
+        .then(() => rename(tmp, filename));
+};
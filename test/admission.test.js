@@ -0,0 +1,151 @@
+const assert = require('assert');
+const Pool = require('generic-pool');
+const createAdmission = require('../lib/admission');
+const { PRIORITIES, createPriorityPool } = require('../lib/priority-pool');
+const { OverloadedError } = require('../lib/errors');
+
+describe('admission', function() {
+    // a single lane pool, with `pending` requests waiting
+    function pool (pending, borrowed, max = 2) {
+        return {
+            waiting: () => pending,
+            ahead: () => pending,
+            free: () => max - borrowed,
+            capacity: () => max
+        };
+    }
+
+    it('admits requests while the queue has room', function() {
+        const admission = createAdmission({ maxWaiting: 2 });
+
+        admission.admit(pool(0, 2));
+        admission.admit(pool(1, 2));
+    });
+
+    it('turns requests away when the queue is full', function() {
+        const admission = createAdmission({ maxWaiting: 2 });
+
+        assert.throws(() => admission.admit(pool(2, 2)), (err) => {
+            assert.ok(err instanceof OverloadedError);
+            assert.equal(err.code, 'EOVERLOADED');
+            assert.equal(err.message, 'Map pool overloaded: 2 high priority requests waiting for a map');
+            assert.equal(err.retryAfter, 1);
+            return true;
+        });
+    });
+
+    it('averages the time maps are held', function() {
+        const admission = createAdmission({ maxWaiting: 10 });
+
+        admission.record(100);
+        assert.equal(admission.holdTime, 100);
+
+        admission.record(200);
+        assert.equal(admission.holdTime, 120);
+    });
+
+    it('estimates the wait from the queue and the hold time', function() {
+        const admission = createAdmission({ maxWaiting: 10 });
+
+        assert.equal(admission.estimateWait(pool(4, 2)), 0);
+
+        admission.record(100);
+
+        assert.equal(admission.estimateWait(pool(0, 1)), 0);
+        assert.equal(admission.estimateWait(pool(0, 2)), 100);
+        assert.equal(admission.estimateWait(pool(1, 2)), 100);
+        assert.equal(admission.estimateWait(pool(2, 2)), 200);
+    });
+
+    it('turns requests away when the estimated wait is over budget', function() {
+        const admission = createAdmission({ maxWaiting: 100, maxWait: 1000 });
+
+        admission.record(500);
+        admission.admit(pool(3, 2));
+
+        assert.throws(() => admission.admit(pool(4, 2)), (err) => {
+            assert.ok(err instanceof OverloadedError);
+            assert.equal(err.code, 'EOVERLOADED');
+            assert.equal(err.message, 'Map pool overloaded: estimated wait of 1500ms exceeds 1000ms');
+            return true;
+        });
+    });
+
+    it('suggests retrying once the queue drains', function() {
+        const admission = createAdmission({ maxWaiting: 100 });
+
+        admission.record(1000);
+
+        assert.equal(admission.overloaded(pool(0, 2), 'busy').retryAfter, 1);
+        assert.equal(admission.overloaded(pool(6, 2), 'busy').retryAfter, 4);
+    });
+
+    describe('with priority lanes', function() {
+        function createPool (max, reserved) {
+            let id = 0;
+            const factory = {
+                create: () => Promise.resolve({ id: id++ }),
+                destroy: () => Promise.resolve()
+            };
+
+            return createPriorityPool(Pool.createPool(factory, { max, priorityRange: PRIORITIES.length }), reserved);
+        }
+
+        it('admits high priority requests while low priority ones pile up', function() {
+            const pool = createPool(2, 1);
+            const admission = createAdmission({ maxWaiting: 32, maxWait: 100 });
+
+            admission.record(1000);
+
+            return pool.acquire('low').then((map) => {
+                const queued = Array.from({ length: 39 }, () => pool.acquire('low'));
+
+                assert.equal(pool.waiting('low'), 39);
+                assert.equal(pool.waiting('high'), 0);
+
+                // the reserved map is free
+                admission.admit(pool, 'high');
+                assert.equal(admission.estimateWait(pool, 'high'), 0);
+
+                assert.throws(() => admission.admit(pool, 'low'), (err) => {
+                    assert.equal(err.message, 'Map pool overloaded: 39 low priority requests waiting for a map');
+                    assert.equal(err.retryAfter, 40);
+                    return true;
+                });
+
+                pool.release(map);
+
+                return Promise.all(queued.map((acquisition) => acquisition.then((map) => pool.release(map))));
+            })
+            .then(() => {
+                assert.equal(pool.waiting('low'), 0);
+                return pool.drain().then(() => pool.clear());
+            });
+        });
+
+        it('estimates the high priority wait from the high priority queue', function() {
+            const pool = createPool(2, 1);
+            const admission = createAdmission({ maxWaiting: 32 });
+
+            admission.record(1000);
+
+            return Promise.all([ pool.acquire('high'), pool.acquire('high') ]).then((maps) => {
+                const queued = [ pool.acquire('low'), pool.acquire('high'), pool.acquire('high') ];
+
+                assert.equal(pool.ahead('high'), 2);
+                assert.equal(pool.ahead('low'), 3);
+                assert.equal(admission.estimateWait(pool, 'high'), 2000);
+                assert.equal(admission.estimateWait(pool, 'low'), 4000);
+
+                maps.forEach((map) => pool.release(map));
+
+                return Promise.all(queued.map((acquisition) => acquisition.then((map) => pool.release(map))));
+            })
+            .then(() => pool.drain().then(() => pool.clear()));
+        });
+    });
+
+    it('fails with an invalid budget', function() {
+        assert.throws(() => createAdmission({ maxWaiting: 1, maxWait: -1 }), /^ConfigurationError: Invalid pool option poolMaxWait: -1$/);
+    });
+});
@@ -0,0 +1,38 @@
+const assert = require('assert');
+const createCacheControl = require('../lib/cache-control');
+
+describe('cache control', function() {
+    it('sets no header by default', function() {
+        assert.equal(createCacheControl()(0), undefined);
+    });
+
+    it('sets the same max-age for every zoom level', function() {
+        const cacheControl = createCacheControl('3600');
+
+        assert.equal(cacheControl(0), 'max-age=3600');
+        assert.equal(cacheControl(22), 'max-age=3600');
+    });
+
+    it('sets the max-age per zoom range', function() {
+        const cacheControl = createCacheControl({ '0-8': 86400, '9': 0, '10-14': '600' });
+
+        assert.equal(cacheControl(0), 'max-age=86400');
+        assert.equal(cacheControl(8), 'max-age=86400');
+        assert.equal(cacheControl(9), 'max-age=0');
+        assert.equal(cacheControl(14), 'max-age=600');
+        assert.equal(cacheControl(15), undefined);
+    });
+
+    [
+        -1,
+        1.5,
+        'forever',
+        { '8-4': 60 },
+        { 'high': 60 },
+        { '0-4': -60 }
+    ].forEach((maxAge) => {
+        it(`rejects ${JSON.stringify(maxAge)}`, function() {
+            assert.throws(() => createCacheControl(maxAge), /^ConfigurationError: Invalid cache option maxAge/);
+        });
+    });
+});
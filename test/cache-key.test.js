@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { createKey, parseKey } = require('../lib/utils/cache-key');
+
+describe('cache key', function() {
+    it('keeps the plain key without options', function() {
+        assert.equal(createKey('png', 1, 0, 1), 'png,1,0,1');
+        assert.equal(createKey('png', 1, 0, 1, {}), 'png,1,0,1');
+        assert.equal(createKey('png', 1, 0, 1, { scale: undefined }), 'png,1,0,1');
+    });
+
+    it('serializes options with sorted keys', function() {
+        const a = createKey('png', 1, 0, 1, { scale: 2, variables: { b: 1, a: 2 } });
+        const b = createKey('png', 1, 0, 1, { variables: { a: 2, b: 1 }, scale: 2 });
+
+        assert.equal(a, b);
+        assert.equal(a, 'png,1,0,1,{"scale":2,"variables":{"a":2,"b":1}}');
+    });
+
+    it('tells apart different options', function() {
+        assert.notEqual(createKey('utf', 0, 0, 0, { fields: [ 'NAME' ] }), createKey('utf', 0, 0, 0));
+        assert.notEqual(createKey('png', 0, 0, 0, { scale: 2 }), createKey('png', 0, 0, 0, { scale: 1 }));
+    });
+
+    it('parses keys back', function() {
+        assert.deepEqual(parseKey('png8:m=h,2,1,3'), { format: 'png8:m=h', z: 2, x: 1, y: 3, options: {} });
+
+        const options = { fields: [ 'NAME', 'ISO' ], resolution: 2 };
+        assert.deepEqual(parseKey(createKey('utf', 2, 1, 3, options)), { format: 'utf', z: 2, x: 1, y: 3, options });
+    });
+});
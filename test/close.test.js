@@ -44,7 +44,9 @@ describe('Closing behavior ', function() {
                 // pool will be draining...
             });
             source.getTile(0,0,0, function(err, info, headers) {
-                assert.equal(err.message,'pool is draining and cannot accept work');
+                assert.equal(err.message,'Tileset is not open');
+                assert.equal(err.code, 'EUNAVAILABLE');
+                assert.equal(mapnik_backend.errors.httpStatus(err), 503);
                 done();
             });
         });
@@ -61,11 +63,207 @@ describe('Closing behavior ', function() {
                 // now that the pool is draining further
                 // access to the source is invalid and should throw
                 source.getTile(0,0,0, function(err, info, headers) {
-                    assert.equal(err.message,'pool is draining and cannot accept work');
+                    assert.equal(err.message,'Tileset is not open');
+                    assert.equal(err.code, 'EUNAVAILABLE');
                     done();
                 });
             });
         });
     });
 
+    it('fails every request once closed', function(done) {
+        new mapnik_backend({ xml: fs.readFileSync('./test/data/world.xml', 'utf8'), base: './test/data/' }, function(err, source) {
+            assert.ifError(err);
+
+            source.close(function(err) {
+                assert.ifError(err);
+
+                const requests = [
+                    (callback) => source.getTile(0, 0, 0, callback),
+                    (callback) => source.getGrid(0, 0, 0, callback),
+                    (callback) => source.getStaticImage({ bbox: [ -10, -10, 10, 10 ], width: 64, height: 64 }, callback),
+                    (callback) => source.queryPoint(0, 0, 2, callback),
+                    (callback) => source.getInfo(callback)
+                ];
+                let pending = requests.length;
+
+                requests.forEach((request) => request(function(err) {
+                    assert.ok(err instanceof mapnik_backend.errors.UnavailableError);
+                    assert.equal(err.status, 503);
+
+                    if (--pending === 0) {
+                        done();
+                    }
+                }));
+            });
+        });
+    });
+
+    describe('map pool lifecycle', function() {
+        function open (query, callback) {
+            new mapnik_backend({ xml: fs.readFileSync('./test/data/world.xml', 'utf8'), base: './test/data/', query: query }, callback);
+        }
+
+        function acquireTwice (source) {
+            return source._acquireMap(source._mapPool)
+                .then((first) => {
+                    source._mapPool.release(first);
+
+                    return source._acquireMap(source._mapPool)
+                        .then((second) => {
+                            source._mapPool.release(second);
+                            return [ first, second ];
+                        });
+                });
+        }
+
+        it('warms up poolMin maps on open and destroys them on close', function(done) {
+            open({ poolSize: 3, poolMin: 2 }, function(err, source) {
+                assert.ifError(err);
+                assert.equal(source.getStats().size, 2);
+                assert.equal(source.getStats().available, 2);
+
+                source.close(function(err) {
+                    assert.ifError(err);
+                    assert.equal(source.getStats().size, 0);
+                    done();
+                });
+            });
+        });
+
+        it('keeps maps by default', function(done) {
+            open({ poolSize: 1 }, function(err, source) {
+                assert.ifError(err);
+
+                acquireTwice(source)
+                    .then(([ first, second ]) => {
+                        assert.strictEqual(first, second);
+                        source.close(done);
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('recycles maps after poolMaxRenders', function(done) {
+            open({ poolSize: 1, poolMaxRenders: 2 }, function(err, source) {
+                assert.ifError(err);
+
+                // opening the source and acquiring maps don't count as renders
+                acquireTwice(source)
+                    .then(([ first, second ]) => {
+                        assert.strictEqual(first, second);
+
+                        return new Promise((resolve, reject) => {
+                            source.getTile(0, 0, 0, (err) => err ? reject(err) : resolve());
+                        })
+                        .then(() => acquireTwice(source))
+                        .then(([ third ]) => {
+                            assert.strictEqual(third, first);
+
+                            return new Promise((resolve, reject) => {
+                                source.getTile(0, 0, 0, { format: 'png32' }, (err) => err ? reject(err) : resolve());
+                            });
+                        })
+                        .then(() => acquireTwice(source))
+                        .then(([ fourth ]) => {
+                            assert.notStrictEqual(fourth, first);
+                            assert.equal(source.getStats().size, 1);
+                        });
+                    })
+                    .then(() => source.close(done))
+                    .catch(done);
+            });
+        });
+
+        it('keeps warmed up maps until they render', function(done) {
+            open({ poolSize: 1, poolMin: 1, poolMaxRenders: 1 }, function(err, source) {
+                assert.ifError(err);
+
+                acquireTwice(source)
+                    .then(([ first, second ]) => {
+                        assert.strictEqual(first, second);
+                        source.close(done);
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('recycles maps after poolMaxAge', function(done) {
+            open({ poolSize: 1, poolMaxAge: 20 }, function(err, source) {
+                assert.ifError(err);
+
+                setTimeout(() => {
+                    acquireTwice(source)
+                        .then(([ first, second ]) => {
+                            assert.strictEqual(first, second);
+
+                            return new Promise((resolve) => setTimeout(resolve, 30)).then(() => acquireTwice(source))
+                                .then(([ third ]) => assert.notStrictEqual(first, third));
+                        })
+                        .then(() => source.close(done))
+                        .catch(done);
+                }, 30);
+            });
+        });
+
+        it('evicts idle maps beyond poolMin until closed', function(done) {
+            open({ poolSize: 2, poolMin: 1, poolIdleTimeout: 10, poolEvictionInterval: 5 }, function(err, source) {
+                assert.ifError(err);
+
+                Promise.all([ source._acquireMap(source._mapPool), source._acquireMap(source._mapPool) ])
+                    .then((maps) => {
+                        maps.forEach((map) => source._mapPool.release(map));
+                        assert.equal(source.getStats().size, 2);
+
+                        setTimeout(() => {
+                            assert.equal(source.getStats().size, 1);
+
+                            source.close(function(err) {
+                                assert.ifError(err);
+                                assert.equal(source.getStats().size, 0);
+                                assert.equal(source._mapPool.pool._scheduledEviction, null);
+                                done();
+                            });
+                        }, 50);
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('destroys the warmed up maps when failing to open', function(done) {
+            const source = new mapnik_backend({
+                xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+                base: './test/data/',
+                query: { poolSize: 2, poolMin: 2, format: 'gif' }
+            }, function(err) {
+                assert.equal(err.message, 'Invalid format: gif');
+                assert.equal(source.open, false);
+                assert.equal(source.getStats().size, 0);
+                done();
+            });
+        });
+
+        it('warms up more poolMin maps than requests may wait', function(done) {
+            open({ poolSize: 4, poolMin: 3, poolMaxWaitingClients: 2 }, function(err, source) {
+                assert.ifError(err);
+                assert.equal(source.getStats().size, 3);
+                source.close(done);
+            });
+        });
+
+        it('fails to open with more poolMin maps than poolSize', function(done) {
+            open({ poolSize: 1, poolMin: 2 }, function(err) {
+                assert.ok(err instanceof mapnik_backend.errors.ConfigurationError);
+                assert.equal(err.message, 'Invalid pool option poolMin: 2');
+                done();
+            });
+        });
+
+        it('fails to open with invalid lifecycle options', function(done) {
+            open({ poolMaxRenders: -1 }, function(err) {
+                assert.equal(err.message, 'Invalid pool option poolMaxRenders: -1');
+                done();
+            });
+        });
+    });
 });
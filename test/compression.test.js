@@ -0,0 +1,30 @@
+const zlib = require('zlib');
+const assert = require('assert');
+const { assertCompression, compressTiles } = require('../lib/utils/compression');
+
+describe('compression', function() {
+    it('accepts none, gzip and br', function() {
+        [ 'none', 'gzip', 'br' ].forEach((compression) => assertCompression('gridCompression', compression));
+        assert.throws(() => assertCompression('gridCompression', 'zip'), /^ConfigurationError: Invalid compression option gridCompression: zip$/);
+    });
+
+    it('compresses grids as JSON with brotli', function() {
+        const grid = { grid: [ ' ' ], keys: [ '' ], data: {} };
+        const tiles = { '0,0,0': { image: grid, headers: { 'Content-Type': 'application/json' }, stats: {} } };
+
+        return compressTiles(tiles, 'br').then((compressed) => {
+            const { image, headers } = compressed['0,0,0'];
+
+            assert.deepEqual(JSON.parse(zlib.brotliDecompressSync(image)), grid);
+            assert.equal(headers['Content-Type'], 'application/json');
+            assert.equal(headers['Content-Encoding'], 'br');
+            assert.deepEqual(tiles['0,0,0'].headers, { 'Content-Type': 'application/json' });
+        });
+    });
+
+    it('keeps the tiles without compression', function() {
+        const tiles = { '0,0,0': { image: Buffer.from('png'), headers: {} } };
+
+        return compressTiles(tiles, 'none').then((compressed) => assert.strictEqual(compressed, tiles));
+    });
+});
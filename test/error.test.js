@@ -35,6 +35,9 @@ describe('Handling Errors ', function() {
         new mapnik_backend({}, function(err) {
             assert.ok(err);
             assert.equal(err.message, 'No XML provided');
+            assert.ok(err instanceof mapnik_backend.errors.ConfigurationError);
+            assert.equal(err.code, 'ECONFIG');
+            assert.equal(mapnik_backend.errors.httpStatus(err), 500);
             done();
         });
     });
@@ -76,6 +79,8 @@ describe('Handling Errors ', function() {
                 if (err) throw err;
                 source[method](0, -1, 0, function(err) {
                     assert(err.message.match(/Coordinates out of range/), 'error message mismatch: ' + err.message);
+                    assert.equal(err.code, 'ENOTFOUND');
+                    assert.equal(err.status, 404);
                     source.close(done);
                 });
             });
@@ -86,6 +91,8 @@ describe('Handling Errors ', function() {
                 if (err) throw err;
                 source[method](1024, 0, 0, function(err) {
                     assert(err.message.match(/Coordinates out of range/), 'error message mismatch: ' + err.message);
+                    assert.equal(err.code, 'ENOTFOUND');
+                    assert.equal(err.status, 404);
                     source.close(done);
                 });
             });
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const errors = require('../lib/errors');
+const areValidCoords = require('../lib/utils/coords');
+const { selectInteractivityLayers } = require('../lib/utfgrid');
+const { normalizeTileOptions } = require('../lib/render-options');
+const timeoutDecorator = require('../lib/utils/timeout-decorator');
+
+describe('errors', function() {
+    const scenarios = [
+        { Class: errors.InvalidRequestError, code: 'EINVALID', status: 400 },
+        { Class: errors.NotFoundError, code: 'ENOTFOUND', status: 404 },
+        { Class: errors.ConfigurationError, code: 'ECONFIG', status: 500 },
+        { Class: errors.UnavailableError, code: 'EUNAVAILABLE', status: 503 },
+        { Class: errors.OverloadedError, code: 'EOVERLOADED', status: 503 },
+        { Class: errors.TimeoutError, code: 'ETIMEDOUT', status: 504 }
+    ];
+
+    scenarios.forEach(({ Class, code, status }) => {
+        it(`${Class.name} has code ${code} and status ${status}`, function() {
+            const err = new Class('boom');
+
+            assert.ok(err instanceof Error);
+            assert.ok(err instanceof errors.MapnikSourceError);
+            assert.equal(err.name, Class.name);
+            assert.equal(err.message, 'boom');
+            assert.equal(err.code, code);
+            assert.equal(errors.httpStatus(err), status);
+            assert.ok(/^.+: boom\n/.test(err.stack));
+        });
+    });
+
+    it('overloaded errors carry a retry hint', function() {
+        assert.equal(new errors.OverloadedError('busy', 3).retryAfter, 3);
+    });
+
+    it('maps other errors to 500', function() {
+        assert.equal(errors.httpStatus(new Error('unknown file type')), 500);
+        assert.equal(errors.httpStatus(undefined), 500);
+    });
+
+    it('tells invalid coordinates from missing tiles', function() {
+        assert.throws(() => areValidCoords({ z: 'a', x: 0, y: 0 }), errors.InvalidRequestError);
+        assert.throws(() => areValidCoords({ z: 1, x: 2, y: 0 }), errors.NotFoundError);
+    });
+
+    it('grids of styles without interactivity are not found', function() {
+        assert.throws(() => selectInteractivityLayers({}), errors.NotFoundError);
+        assert.throws(() => normalizeTileOptions({ scale: 'big' }), errors.InvalidRequestError);
+    });
+
+    it('timeouts are timeout errors', function(done) {
+        const fn = timeoutDecorator((status, callback) => setTimeout(callback, 50), 1);
+
+        fn((err) => {
+            assert.ok(err instanceof errors.TimeoutError);
+            done();
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const assert = require('assert');
+const MapnikBackend = require('..');
+
+describe('Events', function() {
+    let source;
+
+    beforeEach(function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/test.xml', 'utf8'),
+            base: './test/data/',
+            query: {
+                metatile: 2,
+                poolSize: 2
+            }
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        source.close(done);
+    });
+
+    it('is an EventEmitter', function() {
+        assert.ok(source instanceof require('events'));
+    });
+
+    it('emits render, encode, pool and cache events', function(done) {
+        const events = [];
+
+        [ 'render:start', 'render:end', 'encode', 'cache:hit', 'cache:miss', 'pool:acquire' ].forEach((name) => {
+            source.on(name, (event) => events.push({ name, event }));
+        });
+
+        source.getTile(1, 0, 0, (err) => {
+            if (err) {
+                return done(err);
+            }
+
+            source.getTile(1, 1, 1, (err) => {
+                if (err) {
+                    return done(err);
+                }
+
+                const names = events.map(({ name }) => name);
+                assert.deepEqual(names.filter((name) => name !== 'encode'), [
+                    'pool:acquire', 'render:start', 'render:end', 'cache:miss', 'cache:hit'
+                ]);
+                assert.equal(names.filter((name) => name === 'encode').length, 4);
+
+                const byName = (name) => events.find((event) => event.name === name).event;
+
+                assert.ok(byName('pool:acquire').wait >= 0);
+                assert.deepEqual(byName('render:start'), { format: 'png', z: 1, x: 0, y: 0, tiles: 4 });
+                assert.ok(byName('render:end').duration >= 0);
+                assert.equal(byName('render:end').error, undefined);
+                assert.equal(byName('encode').format, 'png');
+                assert.ok(byName('encode').duration >= 0);
+                assert.equal(byName('cache:miss').z, 1);
+                assert.equal(byName('cache:hit').x, 1);
+                assert.equal(byName('cache:hit').cache, 'memory');
+                done();
+            });
+        });
+    });
+
+    it('emits errors only when listened', function(done) {
+        source.getGrid(0, 0, 0, { layers: [ 'blah' ] }, (err) => {
+            assert.ok(err);
+
+            let emitted = false;
+
+            source.once('error', (err, event) => {
+                emitted = true;
+                assert.equal(err.message, 'Unknown interactivity layer: blah');
+                assert.equal(event.z, 1);
+            });
+
+            source.getGrid(1, 0, 0, { layers: [ 'blah' ] }, (err) => {
+                assert.ok(err);
+                assert.ok(emitted);
+                done();
+            });
+        });
+    });
+
+    it('getStats() returns the pool counters', function(done) {
+        assert.deepEqual(Object.keys(source.getStats()), [ 'size', 'available', 'borrowed', 'pending', 'max', 'min', 'reserved', 'cache' ]);
+        assert.equal(source.getStats().max, 2);
+        assert.equal(source.getStats().reserved, 0);
+
+        source.getTile(0, 0, 0, (err) => {
+            if (err) {
+                return done(err);
+            }
+
+            const stats = source.getStats();
+            assert.equal(stats.borrowed, 0);
+            assert.equal(stats.pending, 0);
+            assert.ok(stats.size >= 1);
+            assert.equal(stats.available, stats.size);
+            assert.deepEqual(Object.keys(stats.cache), [ 'hits', 'misses', 'evictions', 'entries', 'bytes' ]);
+            assert.ok(stats.cache.misses >= 1);
+            done();
+        });
+    });
+});
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const zlib = require('zlib');
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const exportTiles = require('../lib/export');
+const createSeeder = require('../lib/seeder');
+const createTileMatrixSet = require('../lib/tile-matrix-set');
+const removeTree = require('./support/remove-tree');
+
+describe('export', function() {
+    let dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tilelive-mapnik-'));
+    });
+
+    afterEach(function() {
+        removeTree(dir);
+    });
+
+    function createSource (parameters = {}) {
+        const tileMatrixSet = createTileMatrixSet();
+
+        return {
+            open: true,
+            renders: [],
+            _format: 'png',
+            _uri: { query: {} },
+            _tileMatrixSet: tileMatrixSet,
+            _info: Object.assign({
+                name: 'World',
+                format: 'png',
+                minzoom: 0,
+                maxzoom: 22,
+                bounds: [ -180, -85, 180, 85 ],
+                center: [ 0, 0, 0 ]
+            }, parameters),
+            seed (options, sink) {
+                return createSeeder(this, options, sink, { tileSize: 256, metatile: 2, tileMatrixSet });
+            },
+            _renderMetatile (format, z, x, y, metatile, renderOptions, mapPool, priority, status, callback) {
+                this.renders.push({ format, z, x, y });
+
+                const tiles = {};
+                metatile.tiles.forEach((coords) => {
+                    const image = format === 'utf' ?
+                        { grid: [ ' ' ], keys: [ '', '1' ], data: { 1: { name: coords.join('/') } } } :
+                        Buffer.from(`${format}:${coords.join('/')}`);
+
+                    tiles[coords.join(',')] = { image, headers: {} };
+                });
+
+                setImmediate(() => callback(null, tiles));
+            }
+        };
+    }
+
+    function query (file, sql, callback) {
+        const db = new sqlite3.Database(file, (err) => {
+            if (err) {
+                return callback(err);
+            }
+
+            db.all(sql, (err, rows) => db.close(() => callback(err, rows)));
+        });
+    }
+
+    describe('to a directory', function() {
+        it('writes a z/x/y tree and the TileJSON', function(done) {
+            const source = createSource();
+
+            exportTiles(source, { path: dir, minzoom: 0, maxzoom: 1 }, (err, stats) => {
+                assert.ifError(err);
+                assert.equal(stats.tiles, 5);
+                assert.equal(fs.readFileSync(path.join(dir, '1', '1', '0.png'), 'utf8'), 'png:1/1/0');
+
+                const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'metadata.json'), 'utf8'));
+                assert.equal(metadata.name, 'World');
+                assert.equal(metadata.maxzoom, 1);
+                done();
+            });
+        });
+
+        it('exports grids when the style has interactivity', function(done) {
+            const source = createSource({ interactivity_layer: 'world', interactivity_fields: [ 'name' ] });
+
+            exportTiles(source, { path: dir, minzoom: 0, maxzoom: 0 }, (err) => {
+                assert.ifError(err);
+                assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, '0', '0', '0.grid.json'), 'utf8')).data, {
+                    1: { name: '0/0/0' }
+                });
+                done();
+            });
+        });
+
+        it('resumes an interrupted export', function(done) {
+            const source = createSource();
+            const seeder = exportTiles(source, { path: dir, minzoom: 0, maxzoom: 2 }, (err, stats) => {
+                assert.ifError(err);
+                assert.equal(stats.aborted, true);
+                assert.equal(fs.existsSync(path.join(dir, 'metadata.json')), false);
+
+                const rendered = source.renders.length;
+
+                exportTiles(source, { path: dir, minzoom: 0, maxzoom: 2, resume: true }, (err, stats) => {
+                    assert.ifError(err);
+                    assert.equal(stats.tiles, 21);
+                    assert.equal(source.renders.length, 6);
+                    assert.equal(rendered, 2);
+                    assert.ok(fs.existsSync(path.join(dir, 'metadata.json')));
+                    done();
+                });
+            });
+
+            seeder.on('progress', ({ metatiles }) => metatiles === 2 && seeder.abort());
+        });
+
+        it('fails with an unknown type', function(done) {
+            exportTiles(createSource(), { path: dir, type: 'zip' }, (err) => {
+                assert.equal(err.message, 'Invalid export option type: zip');
+                done();
+            });
+        });
+    });
+
+    describe('to MBTiles', function() {
+        it('fails clearly without sqlite3', function(done) {
+            const resolveFilename = Module._resolveFilename;
+            const mbtiles = require.resolve('../lib/export/mbtiles');
+            const cached = require.cache[mbtiles];
+
+            delete require.cache[mbtiles];
+            Module._resolveFilename = function (request) {
+                if (request === 'sqlite3') {
+                    const err = new Error(`Cannot find module 'sqlite3'`);
+                    err.code = 'MODULE_NOT_FOUND';
+                    throw err;
+                }
+
+                return resolveFilename.apply(this, arguments);
+            };
+
+            try {
+                exportTiles(createSource(), { path: path.join(dir, 'world.mbtiles') }, (err) => {
+                    assert.equal(err.code, 'ECONFIG');
+                    assert.equal(err.message, 'MBTiles export requires the sqlite3 module, install it with `npm install sqlite3`');
+                    done();
+                });
+            } finally {
+                Module._resolveFilename = resolveFilename;
+                require.cache[mbtiles] = cached;
+            }
+        });
+
+        it('writes tiles in the TMS scheme and the metadata', function(done) {
+            const file = path.join(dir, 'world.mbtiles');
+
+            exportTiles(createSource(), { path: file, bbox: [ 0, 0, 180, 85 ], minzoom: 1, maxzoom: 1 }, (err) => {
+                assert.ifError(err);
+
+                query(file, 'SELECT zoom_level, tile_column, tile_row, tile_data FROM tiles', (err, rows) => {
+                    assert.ifError(err);
+                    assert.equal(rows.length, 1);
+                    assert.deepEqual([ rows[0].zoom_level, rows[0].tile_column, rows[0].tile_row ], [ 1, 1, 1 ]);
+                    assert.equal(rows[0].tile_data.toString(), 'png:1/1/0');
+
+                    query(file, 'SELECT name, value FROM metadata', (err, rows) => {
+                        assert.ifError(err);
+
+                        const metadata = rows.reduce((metadata, { name, value }) => Object.assign(metadata, { [name]: value }), {});
+                        assert.deepEqual(metadata, {
+                            name: 'World',
+                            type: 'overlay',
+                            format: 'png',
+                            bounds: '0,0,180,85',
+                            center: '90,42.5,1',
+                            minzoom: '1',
+                            maxzoom: '1'
+                        });
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('writes grids', function(done) {
+            const file = path.join(dir, 'world.mbtiles');
+            const source = createSource({ interactivity_layer: 'world', interactivity_fields: [ 'name' ] });
+
+            exportTiles(source, { path: file, minzoom: 0, maxzoom: 0 }, (err) => {
+                assert.ifError(err);
+
+                query(file, 'SELECT grid FROM grids', (err, rows) => {
+                    assert.ifError(err);
+                    assert.deepEqual(JSON.parse(zlib.inflateSync(rows[0].grid)), { grid: [ ' ' ], keys: [ '', '1' ] });
+
+                    query(file, 'SELECT key_name, key_json FROM grid_data', (err, rows) => {
+                        assert.ifError(err);
+                        assert.deepEqual(rows, [ { key_name: '1', key_json: '{"name":"0/0/0"}' } ]);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('writes gzip compressed vector tiles', function(done) {
+            const file = path.join(dir, 'world.mbtiles');
+            const source = Object.assign(createSource({ format: 'pbf' }), { _format: 'mvt' });
+
+            exportTiles(source, { path: file, minzoom: 0, maxzoom: 0 }, (err) => {
+                assert.ifError(err);
+
+                query(file, 'SELECT tile_data FROM tiles', (err, rows) => {
+                    assert.ifError(err);
+                    assert.equal(zlib.gunzipSync(rows[0].tile_data).toString(), 'mvt:0/0/0');
+                    done();
+                });
+            });
+        });
+
+        it('fails with brotli compressed vector tiles', function(done) {
+            const source = Object.assign(createSource({ format: 'pbf' }), { _format: 'mvt' });
+
+            source._uri.query.vectorCompression = 'br';
+
+            exportTiles(source, { path: path.join(dir, 'world.mbtiles') }, (err) => {
+                assert.equal(err.code, 'EINVALID');
+                assert.equal(err.message, 'MBTiles export requires gzip compressed vector tiles, not br');
+                assert.equal(source.renders.length, 0);
+                done();
+            });
+        });
+
+        it('resumes an interrupted export', function(done) {
+            const file = path.join(dir, 'world.mbtiles');
+            const source = createSource();
+            const seeder = exportTiles(source, { path: file, minzoom: 0, maxzoom: 2 }, (err) => {
+                assert.ifError(err);
+
+                exportTiles(source, { path: file, minzoom: 0, maxzoom: 2, resume: true }, (err, stats) => {
+                    assert.ifError(err);
+                    assert.equal(stats.tiles, 21);
+                    assert.equal(source.renders.length, 6);
+
+                    query(file, 'SELECT count(*) AS count FROM tiles', (err, rows) => {
+                        assert.ifError(err);
+                        assert.equal(rows[0].count, 21);
+                        done();
+                    });
+                });
+            });
+
+            seeder.on('progress', ({ metatiles }) => metatiles === 3 && seeder.abort());
+        });
+    });
+});
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const resolveFormat = require('../lib/formats');
+const headers = require('../lib/utils/headers');
+
+describe('formats', function() {
+    [
+        { format: 'png', type: 'image/png', extension: 'png', kind: 'image' },
+        { format: 'png8:m=h', type: 'image/png', extension: 'png', kind: 'image' },
+        { format: 'png32', type: 'image/png', extension: 'png', kind: 'image' },
+        { format: 'png256', type: 'image/png', extension: 'png', kind: 'image' },
+        { format: 'jpeg', type: 'image/jpeg', extension: 'jpg', kind: 'image' },
+        { format: 'jpeg80', type: 'image/jpeg', extension: 'jpg', kind: 'image' },
+        { format: 'webp:quality=80', type: 'image/webp', extension: 'webp', kind: 'image' },
+        { format: 'tiff', type: 'image/tiff', extension: 'tiff', kind: 'image' },
+        { format: 'mvt', type: 'application/x-protobuf', extension: 'pbf', kind: 'vector' },
+        { format: 'pbf', type: 'application/x-protobuf', extension: 'pbf', kind: 'vector' },
+        { format: 'utf', type: 'application/json', extension: 'grid.json', kind: 'grid' }
+    ].forEach((expected) => {
+        it(`resolves ${expected.format}`, function() {
+            assert.deepEqual(resolveFormat(expected.format), expected);
+        });
+    });
+
+    [ 'gif', 'jpg', 'pngx', 'svg:png', '', undefined ].forEach((format) => {
+        it(`rejects ${JSON.stringify(format)}`, function() {
+            assert.throws(() => resolveFormat(format), /^InvalidRequestError: Invalid format/);
+        });
+    });
+
+    describe('headers', function() {
+        it('sets the content type of the format', function() {
+            assert.deepEqual(headers('webp:quality=80'), { 'Content-Type': 'image/webp' });
+            assert.deepEqual(headers('tiff'), { 'Content-Type': 'image/tiff' });
+        });
+
+        it('sets the content encoding', function() {
+            assert.deepEqual(headers('mvt', { compression: 'gzip' }), {
+                'Content-Encoding': 'gzip',
+                'Content-Type': 'application/x-protobuf'
+            });
+            assert.deepEqual(headers('mvt', { compression: 'none' }), { 'Content-Type': 'application/x-protobuf' });
+        });
+    });
+});
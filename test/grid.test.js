@@ -1,4 +1,5 @@
 var fs = require('fs');
+var zlib = require('zlib');
 var assert = require('assert');
 var mapnik_backend = require('..');
 
@@ -121,3 +122,40 @@ describe('Grid metrics', function() {
         });
     });
 });
+
+describe('Grid compression', function() {
+
+    [ 'gzip', 'br' ].forEach(function(compression) {
+        it('Compresses grids with ' + compression, function(done) {
+            var uri = {
+                protocol : "mapnik:",
+                xml : fs.readFileSync('./test/data/test.xml', 'utf8'),
+                base: './test/data/',
+                query : {
+                    gridCompression : compression
+                }
+            };
+
+            new mapnik_backend(uri, function(err, source) {
+                if (err) throw err;
+                source.getGrid(1, 0, 0, function(err, grid, headers) {
+                    assert(!err);
+                    assert.equal(headers['Content-Type'], 'application/json');
+                    assert.equal(headers['Content-Encoding'], compression);
+
+                    var decompress = compression === 'gzip' ? zlib.gunzipSync : zlib.brotliDecompressSync;
+                    assert.equal(JSON.parse(decompress(grid)).grid.length, 64);
+
+                    // the sibling tile was compressed along with the requested one
+                    source.getGrid(1, 1, 0, function(err, sibling, headers) {
+                        assert(!err);
+                        assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+                        assert.equal(headers['Content-Encoding'], compression);
+                        assert.ok(Buffer.isBuffer(sibling));
+                        source.close(done);
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const assert = require('assert');
+const MapnikBackend = require('..');
+
+describe('getInfo()', function() {
+    it('returns TileJSON from the map parameters', function(done) {
+        new MapnikBackend({ xml: fs.readFileSync('./test/data/test.xml', 'utf8'), base: './test/data/' }, (err, source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source.getInfo((err, info) => {
+                if (err) {
+                    return done(err);
+                }
+
+                assert.equal(info.tilejson, '3.0.0');
+                assert.equal(info.format, 'png');
+                assert.deepEqual(info.tiles, [ '{z}/{x}/{y}.png' ]);
+                assert.deepEqual(info.center, [ 1.054687500000007, 29.53522956294847, 2 ]);
+                assert.equal(info.interactivity_layer, 'world');
+                assert.deepEqual(info.interactivity_fields, [ 'NAME' ]);
+                assert.equal(info.template, '<b>{{NAME}}</b>');
+                assert.equal(info.vector_layers.length, 1);
+                assert.equal(info.vector_layers[0].id, 'world');
+                assert.ok(info.vector_layers[0].fields.hasOwnProperty('NAME'));
+
+                source.close(done);
+            });
+        });
+    });
+
+    it('returns a copy of the info', function(done) {
+        new MapnikBackend({ xml: fs.readFileSync('./test/data/world.xml', 'utf8'), base: './test/data/' }, (err, source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source.getInfo((err, info) => {
+                if (err) {
+                    return done(err);
+                }
+
+                assert.equal(info.name, 'Smallworld');
+                info.name = 'changed';
+
+                source.getInfo((err, info) => {
+                    assert.ifError(err);
+                    assert.equal(info.name, 'Smallworld');
+                    source.close(done);
+                });
+            });
+        });
+    });
+});
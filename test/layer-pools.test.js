@@ -0,0 +1,113 @@
+const assert = require('assert');
+const Pool = require('generic-pool');
+const { PRIORITIES, createPriorityPool } = require('../lib/priority-pool');
+const createLayerPools = require('../lib/layer-pools');
+
+describe('layer pools', function() {
+    function createPool (max) {
+        let id = 0;
+        const factory = {
+            create: () => Promise.resolve({ id: id++ }),
+            destroy: () => Promise.resolve()
+        };
+
+        return createPriorityPool(Pool.createPool(factory, { max, priorityRange: PRIORITIES.length }));
+    }
+
+    beforeEach(function() {
+        this.created = [];
+        this.mapPool = createPool(2);
+        this.layerPools = createLayerPools(2, (active) => {
+            const pool = createPool(2);
+
+            this.created.push({ active, pool });
+
+            return pool;
+        });
+    });
+
+    afterEach(function() {
+        return this.layerPools.destroy()
+            .then(() => this.mapPool.drain())
+            .then(() => this.mapPool.clear());
+    });
+
+    it('creates one pool per subset', function() {
+        const roads = this.layerPools.get([ 'roads' ], this.mapPool);
+
+        assert.equal(this.layerPools.get([ 'roads' ], this.mapPool), roads);
+        assert.notEqual(this.layerPools.get([ 'water' ], this.mapPool), roads);
+        assert.deepEqual(this.created.map(({ active }) => active), [ [ 'roads' ], [ 'water' ] ]);
+    });
+
+    it('drains the least recently used pool', function() {
+        this.layerPools.get([ 'roads' ], this.mapPool);
+        this.layerPools.get([ 'water' ], this.mapPool);
+        this.layerPools.get([ 'roads' ], this.mapPool);
+        this.layerPools.get([ 'labels' ], this.mapPool);
+
+        const [ roads, water ] = this.created.map(({ pool }) => pool);
+
+        return new Promise(setImmediate).then(() => {
+            assert.equal(water.pool._draining, true);
+            assert.equal(roads.pool._draining, false);
+            assert.equal(this.layerPools.pools.size, 2);
+        });
+    });
+
+    it('holds a map of the style pool for every map lent', function() {
+        const roads = this.layerPools.get([ 'roads' ], this.mapPool);
+        const water = this.layerPools.get([ 'water' ], this.mapPool);
+        let waiting = true;
+
+        return Promise.all([ roads.acquire('high'), water.acquire('high') ])
+            .then(([ first, second ]) => {
+                assert.equal(this.mapPool.borrowed, 2);
+                assert.equal(roads.borrowed, 2);
+
+                const third = roads.acquire('high').then((map) => {
+                    waiting = false;
+                    return map;
+                });
+
+                return new Promise(setImmediate)
+                    .then(() => {
+                        assert.equal(waiting, true);
+                        assert.equal(water.waiting('high'), 1);
+
+                        water.release(second);
+
+                        return third;
+                    })
+                    .then((map) => {
+                        roads.release(first);
+                        roads.release(map);
+                    });
+            })
+            .then(() => new Promise(setImmediate))
+            .then(() => assert.equal(this.mapPool.borrowed, 0));
+    });
+
+    it('lends a map to the acquisitions waiting for a slot when drained', function() {
+        const roads = this.layerPools.get([ 'roads' ], this.mapPool);
+
+        return Promise.all([ this.mapPool.acquire('high'), this.mapPool.acquire('high') ])
+            .then((maps) => {
+                const acquisition = roads.acquire('low');
+                const drained = this.layerPools.destroy();
+
+                maps.forEach((map) => this.mapPool.release(map));
+
+                return acquisition
+                    .then((map) => roads.release(map))
+                    .then(() => drained);
+            });
+    });
+
+    it('fails with an invalid number of pools', function() {
+        assert.throws(() => createLayerPools(0), {
+            code: 'ECONFIG',
+            message: 'Invalid pool option poolLayerSubsets: 0'
+        });
+    });
+});
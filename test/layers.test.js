@@ -0,0 +1,55 @@
+const assert = require('assert');
+const { layerNames, selectLayers, disableLayers } = require('../lib/layers');
+
+describe('layers', function() {
+    const xml = [
+        '<Map>',
+        '<Layer name="water" srs="+init=epsg:3857"><StyleName>water</StyleName></Layer>',
+        '<Layer srs="+init=epsg:3857" name=\'roads &amp; paths\' status="on"></Layer>',
+        '<Layer name="labels" status="off"></Layer>',
+        '</Map>'
+    ].join('\n');
+
+    it('lists the layers of a style', function() {
+        assert.deepEqual(layerNames(xml), [ 'water', 'roads & paths', 'labels' ]);
+        assert.deepEqual(layerNames('<Map></Map>'), []);
+    });
+
+    describe('selecting', function() {
+        const names = [ 'water', 'roads', 'labels' ];
+
+        it('selects every layer by default', function() {
+            assert.equal(selectLayers(names, {}), undefined);
+        });
+
+        it('includes layers in drawing order', function() {
+            assert.deepEqual(selectLayers(names, { layers: [ 'labels', 'water' ] }), [ 'water', 'labels' ]);
+        });
+
+        it('excludes layers', function() {
+            assert.deepEqual(selectLayers(names, { excludeLayers: [ 'roads' ] }), [ 'water', 'labels' ]);
+        });
+
+        it('excludes layers from the included ones', function() {
+            assert.deepEqual(selectLayers(names, { layers: [ 'water', 'roads' ], excludeLayers: [ 'roads' ] }), [ 'water' ]);
+        });
+
+        it('fails with unknown layers', function() {
+            assert.throws(() => selectLayers(names, { layers: [ 'water', 'pois' ], excludeLayers: [ 'parks' ] }), /^InvalidRequestError: Unknown layer: pois,parks$/);
+        });
+    });
+
+    it('turns off the layers that are not active', function() {
+        assert.equal(disableLayers(xml, [ 'water' ]), [
+            '<Map>',
+            '<Layer name="water" srs="+init=epsg:3857"><StyleName>water</StyleName></Layer>',
+            '<Layer status="off" srs="+init=epsg:3857" name=\'roads &amp; paths\'></Layer>',
+            '<Layer status="off" name="labels"></Layer>',
+            '</Map>'
+        ].join('\n'));
+    });
+
+    it('keeps layers turned off by the style off', function() {
+        assert.equal(disableLayers(xml, [ 'labels' ]).split('\n')[3], '<Layer name="labels" status="off"></Layer>');
+    });
+});
@@ -234,4 +234,105 @@ describe('locking cache', function() {
             assert.equal(value, '=0');
         });
     });
+
+    it('.purge()', function(done) {
+        var n = 0;
+        var cache = new LockingCache(function generate(key) {
+            var extraKey = key.replace('_extra', '') + '_extra';
+            var value = '=' + n++;
+            setTimeout(function() {
+                // the purged generation doesn't put anything
+                if (value !== '=0') {
+                    cache.put(key, null, value);
+                    cache.put(extraKey, null, value);
+                }
+            }, 10);
+            return [key, extraKey];
+        }, 0);
+
+        cache.get('key', function(err, value) {
+            assert.ok(err);
+            assert.equal(err.message, 'purged');
+
+            // purged ids are generated again
+            cache.get('key_extra', function(err, value) {
+                assert.ok(!err);
+                assert.equal(value, '=1');
+                done();
+            });
+        });
+
+        cache.purge(['key', 'key_extra'], new Error('purged'));
+    });
+
+    describe('LRU limits', function() {
+        function createCache(options) {
+            var cache = new LockingCache(function generate(key) {
+                process.nextTick(function() {
+                    cache.put(key, null, Buffer.alloc(10), { key: key });
+                    cache.put(key + '_sibling', null, Buffer.alloc(10), { key: key + '_sibling' });
+                });
+                return [key, key + '_sibling'];
+            }, options);
+
+            return cache;
+        }
+
+        it('evicts the least recently used entries over maxEntries', function(done) {
+            var cache = createCache({ timeout: 1000, maxEntries: 3 });
+
+            cache.get('a', function(err) {
+                assert.ok(!err);
+                setImmediate(function() {
+                    // a hit makes 'a' more recent than 'a_sibling'
+                    cache.get('a', function(err) {
+                        assert.ok(!err);
+                        cache.get('b', function(err) {
+                            assert.ok(!err);
+                            setImmediate(function() {
+                                assert.deepEqual(Array.from(cache.entries.keys()), ['a', 'b', 'b_sibling']);
+                                assert.deepEqual(cache.getStats(), { hits: 1, misses: 2, evictions: 1, entries: 3, bytes: 30 });
+                                cache.clear();
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('evicts entries over maxBytes', function(done) {
+            var cache = createCache({ timeout: 1000, maxBytes: 25 });
+
+            cache.get('a', function(err) {
+                assert.ok(!err);
+                cache.get('b', function(err) {
+                    assert.ok(!err);
+                    setImmediate(function() {
+                        assert.deepEqual(Array.from(cache.entries.keys()), ['b', 'b_sibling']);
+                        assert.equal(cache.getStats().bytes, 20);
+                        assert.equal(cache.getStats().evictions, 2);
+                        cache.clear();
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('keeps the bytes count when results are deleted on hit', function(done) {
+            var cache = createCache({ timeout: 0 });
+
+            cache.get('a', function(err) {
+                assert.ok(!err);
+                // 'a' was purged on hit, its sibling comes next
+                assert.deepEqual(cache.getStats(), { hits: 0, misses: 1, evictions: 0, entries: 0, bytes: 0 });
+                setImmediate(function() {
+                    assert.deepEqual(cache.getStats(), { hits: 0, misses: 1, evictions: 0, entries: 1, bytes: 10 });
+                    cache.clear();
+                    assert.deepEqual(cache.getStats(), { hits: 0, misses: 1, evictions: 0, entries: 0, bytes: 0 });
+                    done();
+                });
+            });
+        });
+    });
 });
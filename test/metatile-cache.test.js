@@ -0,0 +1,423 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const assert = require('assert');
+const FilesystemStorage = require('../lib/storage/filesystem');
+const createMetatileCache = require('../lib/metatile-cache');
+const { createKey } = require('../lib/utils/cache-key');
+const etag = require('../lib/utils/etag');
+const { OverloadedError } = require('../lib/errors');
+const removeTree = require('./support/remove-tree');
+
+describe('metatile cache', function() {
+    function createSource (renderTime = 0) {
+        return {
+            renders: [],
+            _renderMetatile (format, z, x, y, metatile, renderOptions, mapPool, priority, status, callback) {
+                this.renders.push({ format, z, x, y, renderOptions, priority, status });
+
+                const tiles = {};
+                metatile.tiles.forEach((coords) => {
+                    tiles[coords.join(',')] = {
+                        image: `${format}:${coords.join('/')}:${JSON.stringify(renderOptions)}`,
+                        headers: {},
+                        stats: {}
+                    };
+                });
+
+                setTimeout(() => callback(null, tiles), renderTime);
+            }
+        };
+    }
+
+    it('renders the metatile once for sibling tiles', function(done) {
+        const source = createSource();
+        const cache = createMetatileCache(source, { tileSize: 256, metatile: 2, metatileCache: { ttl: 0 } });
+
+        cache.get(createKey('png', 1, 0, 0), (err, image, headers) => {
+            assert.ifError(err);
+            assert.equal(image, 'png:1/0/0:{}');
+            assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+
+            cache.get(createKey('png', 1, 1, 1), (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(image, 'png:1/1/1:{}');
+                assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+                assert.equal(source.renders.length, 1);
+                done();
+            });
+        });
+    });
+
+    it('passes render options to the renderer and keeps variants apart', function(done) {
+        const source = createSource();
+        const cache = createMetatileCache(source, { tileSize: 256, metatile: 2, metatileCache: { ttl: 0 } });
+        const options = { scale: 2, variables: { color: 'red' } };
+
+        cache.get(createKey('png', 1, 0, 0, options), (err, image) => {
+            assert.ifError(err);
+            assert.equal(image, 'png:1/0/0:{"scale":2,"variables":{"color":"red"}}');
+            assert.deepEqual(source.renders[0].renderOptions, options);
+
+            cache.get(createKey('png', 1, 1, 1), (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(image, 'png:1/1/1:{}');
+                assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+                assert.equal(source.renders.length, 2);
+                done();
+            });
+        });
+    });
+
+    it('renders with the priority of the request', function(done) {
+        const source = createSource();
+        const cache = createMetatileCache(source, { tileSize: 256, metatile: 2, metatileCache: { ttl: 0 } });
+
+        cache.get(createKey('png', 1, 0, 0), (err) => {
+            assert.ifError(err);
+            assert.equal(source.renders[0].priority, 'low');
+            done();
+        }, { priority: 'low' });
+    });
+
+    it('renders again after a failed render', function(done) {
+        const source = createSource();
+        const renderMetatile = source._renderMetatile;
+        const cache = createMetatileCache(source, { tileSize: 256, metatile: 2, metatileCache: { ttl: 0 } });
+
+        source._renderMetatile = function (...args) {
+            const callback = args[args.length - 1];
+
+            this._renderMetatile = renderMetatile;
+            callback(new OverloadedError('Map pool overloaded: 32 high priority requests waiting for a map', 3));
+        };
+
+        cache.get(createKey('png', 1, 0, 0), (err) => {
+            assert.equal(err.code, 'EOVERLOADED');
+            assert.deepEqual(cache.results, {});
+
+            // the sibling tile isn't left with the error
+            cache.get(createKey('png', 1, 1, 1), (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(image, 'png:1/1/1:{}');
+                assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+                assert.equal(source.renders.length, 1);
+                done();
+            });
+        });
+    });
+
+    describe('render timeout', function() {
+        function createCache (source, cacheOnTimeout) {
+            return createMetatileCache(source, {
+                tileSize: 256,
+                metatile: 2,
+                metatileCache: { ttl: 0 },
+                limits: { render: 5, cacheOnTimeout }
+            });
+        }
+
+        it('fails waiting requests and flags the render as timed out', function(done) {
+            const source = createSource(20);
+            const cache = createCache(source, false);
+            let errors = 0;
+
+            [ [ 1, 0, 0 ], [ 1, 1, 1 ] ].forEach(([ z, x, y ]) => {
+                cache.get(createKey('png', z, x, y), (err) => {
+                    assert.ok(err);
+                    assert.equal(err.message, 'Render timed out');
+                    assert.equal(err.code, 'ETIMEDOUT');
+                    assert.ok(source.renders[0].status.timedOut);
+
+                    if (++errors === 2) {
+                        done();
+                    }
+                });
+            });
+        });
+
+        it('purges the keys so later requests start a new render', function(done) {
+            const source = createSource(20);
+            const cache = createCache(source, false);
+
+            cache.get(createKey('png', 1, 0, 0), (err) => {
+                assert.equal(err.message, 'Render timed out');
+                assert.deepEqual(cache.results, {});
+
+                cache.get(createKey('png', 1, 1, 1), (err) => {
+                    assert.equal(err.message, 'Render timed out');
+                    assert.equal(source.renders.length, 2);
+
+                    // wait for the abandoned renders to finish
+                    setTimeout(() => {
+                        assert.deepEqual(cache.results, {});
+                        done();
+                    }, 40);
+                });
+            });
+        });
+
+        it('settles once the abandoned render is done', function(done) {
+            const source = createSource(20);
+            const cache = createCache(source, false);
+            const start = Date.now();
+
+            cache.get(createKey('png', 1, 0, 0), (err) => {
+                assert.equal(err.message, 'Render timed out');
+
+                cache.settled().then(() => {
+                    assert.ok(Date.now() - start >= 15);
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('caches late results with cacheOnTimeout', function(done) {
+            const source = createSource(20);
+            const cache = createCache(source, true);
+
+            cache.get(createKey('png', 1, 0, 0), (err) => {
+                assert.equal(err.message, 'Render timed out');
+
+                setTimeout(() => {
+                    cache.get(createKey('png', 1, 1, 1), (err, image, headers) => {
+                        assert.ifError(err);
+                        assert.equal(image, 'png:1/1/1:{}');
+                        assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+                        assert.equal(source.renders.length, 1);
+                        done();
+                    });
+                }, 40);
+            });
+        });
+    });
+
+    describe('persistent storage', function() {
+        function createStorage () {
+            const tiles = new Map();
+
+            return {
+                tiles,
+                get: (key) => Promise.resolve(tiles.get(key)),
+                set: (key, tile) => Promise.resolve(tiles.set(key, tile)),
+                del: (key) => Promise.resolve(tiles.delete(key))
+            };
+        }
+
+        function createCache (source, storage) {
+            return createMetatileCache(source, { tileSize: 256, metatile: 2, metatileCache: { ttl: 0 }, storage });
+        }
+
+        it('stores rendered tiles', function(done) {
+            const source = createSource();
+            const storage = createStorage();
+            const cache = createCache(source, storage);
+
+            cache.get(createKey('png', 1, 0, 0), (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+
+                setImmediate(() => {
+                    assert.deepEqual(Array.from(storage.tiles.keys()).sort(), [
+                        'png,1,0,0', 'png,1,0,1', 'png,1,1,0', 'png,1,1,1'
+                    ]);
+                    assert.equal(storage.tiles.get('png,1,1,1').image, 'png:1/1/1:{}');
+                    assert.deepEqual(storage.tiles.get('png,1,1,1').headers, {});
+                    done();
+                });
+            });
+        });
+
+        it('reads stored tiles instead of rendering', function(done) {
+            const storage = createStorage();
+            const first = createCache(createSource(), storage);
+
+            first.get(createKey('png', 1, 0, 0), (err) => {
+                assert.ifError(err);
+
+                setImmediate(() => {
+                    const source = createSource();
+                    const cache = createCache(source, storage);
+
+                    cache.get(createKey('png', 1, 1, 1), (err, image, headers) => {
+                        assert.ifError(err);
+                        assert.equal(image, 'png:1/1/1:{}');
+                        assert.equal(headers['Carto-Metatile-Cache'], 'PERSISTENT');
+
+                        cache.get(createKey('png', 1, 0, 0), (err, image, headers) => {
+                            assert.ifError(err);
+                            assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+                            assert.equal(source.renders.length, 0);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('settles once the rendered tiles are stored', function(done) {
+            const source = createSource();
+            const storage = createStorage();
+            const set = storage.set;
+            storage.set = (key, tile) => new Promise((resolve) => setTimeout(resolve, 10)).then(() => set(key, tile));
+
+            const cache = createCache(source, storage);
+
+            cache.get(createKey('png', 1, 0, 0), (err) => {
+                assert.ifError(err);
+                assert.equal(storage.tiles.size, 0);
+
+                cache.settled().then(() => {
+                    assert.equal(storage.tiles.size, 4);
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('leaves the storage alone until it is ready', function(done) {
+            const source = createSource();
+            const storage = createStorage();
+            storage.tiles.set('png,1,0,0', { image: 'stored', headers: {} });
+
+            let ready;
+            const storageReady = new Promise((resolve) => {
+                ready = resolve;
+            });
+            const cache = createMetatileCache(source, {
+                tileSize: 256,
+                metatile: 1,
+                metatileCache: { ttl: 0 },
+                storage,
+                storageReady
+            });
+
+            cache.get(createKey('png', 1, 0, 0), (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+
+                cache.settled()
+                    .then(() => {
+                        assert.deepEqual(Array.from(storage.tiles.keys()), [ 'png,1,0,0' ]);
+
+                        ready();
+                        return storageReady;
+                    })
+                    .then(() => {
+                        cache.get(createKey('png', 1, 0, 0), (err, image, headers) => {
+                            assert.ifError(err);
+                            assert.equal(image, 'stored');
+                            assert.equal(headers['Carto-Metatile-Cache'], 'PERSISTENT');
+                            done();
+                        });
+                    })
+                    .catch(done);
+            });
+        });
+
+        it('renders the metatile when some tiles are missing or the storage fails', function(done) {
+            const source = createSource();
+            const storage = createStorage();
+            storage.tiles.set('png,1,0,0', { image: 'stored', headers: {} });
+            storage.get = (key) => key === 'png,1,0,1' ? Promise.reject(new Error('storage down')) : Promise.resolve(storage.tiles.get(key));
+
+            const cache = createCache(source, storage);
+
+            cache.get(createKey('png', 1, 0, 0), (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(image, 'png:1/0/0:{}');
+                assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+                assert.equal(source.renders.length, 1);
+                done();
+            });
+        });
+    });
+
+    describe('compression', function() {
+        function createCache (source) {
+            return createMetatileCache(source, {
+                tileSize: 256,
+                metatile: 2,
+                metatileCache: { ttl: 0 },
+                compression: { utf: 'gzip' }
+            });
+        }
+
+        it('compresses the tiles of a metatile once', function(done) {
+            const source = createSource();
+            const cache = createCache(source);
+
+            cache.get(createKey('utf', 1, 0, 0), (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Content-Encoding'], 'gzip');
+                assert.equal(JSON.parse(zlib.gunzipSync(image)), 'utf:1/0/0:{}');
+                assert.equal(headers.ETag, etag(image));
+
+                cache.get(createKey('utf', 1, 1, 1), (err, image, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+                    assert.equal(headers['Content-Encoding'], 'gzip');
+                    assert.equal(JSON.parse(zlib.gunzipSync(image)), 'utf:1/1/1:{}');
+                    assert.equal(source.renders.length, 1);
+                    done();
+                });
+            });
+        });
+
+        it('serves compressed grids from the persistent storage', function(done) {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tilelive-mapnik-'));
+            const storage = new FilesystemStorage({ path: dir });
+            const writes = [];
+            const set = storage.set.bind(storage);
+            const cacheOptions = {
+                tileSize: 256,
+                metatile: 2,
+                metatileCache: { ttl: 0 },
+                compression: { utf: 'gzip' },
+                storage
+            };
+
+            storage.set = (key, tile) => {
+                const write = set(key, tile);
+                writes.push(write);
+                return write;
+            };
+
+            const finish = (err) => {
+                removeTree(dir);
+                done(err);
+            };
+
+            createMetatileCache(createSource(), cacheOptions).get(createKey('utf', 1, 0, 0), (err) => {
+                assert.ifError(err);
+
+                // the tiles are stored once the callbacks ran
+                new Promise(setImmediate).then(() => Promise.all(writes)).then(() => {
+                    assert.equal(writes.length, 4);
+                    const source = createSource();
+
+                    createMetatileCache(source, cacheOptions).get(createKey('utf', 1, 0, 0), (err, image, headers) => {
+                        assert.ifError(err);
+                        assert.equal(headers['Carto-Metatile-Cache'], 'PERSISTENT');
+                        assert.equal(headers['Content-Encoding'], 'gzip');
+                        assert.equal(JSON.parse(zlib.gunzipSync(image)), 'utf:1/0/0:{}');
+                        assert.equal(source.renders.length, 0);
+                        finish();
+                    });
+                })
+                .catch(finish);
+            });
+        });
+
+        it('leaves other formats alone', function(done) {
+            const cache = createCache(createSource());
+
+            cache.get(createKey('png', 1, 0, 0), (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(image, 'png:1/0/0:{}');
+                assert.equal(headers['Content-Encoding'], undefined);
+                done();
+            });
+        });
+    });
+});
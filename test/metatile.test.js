@@ -1,5 +1,6 @@
 var assert = require('assert');
 var calculateMetatile = require('../lib/metatile');
+var createTileMatrixSet = require('../lib/tile-matrix-set');
 
 var FULL = 20037508.342789244;
 var HALF = 0;
@@ -390,4 +391,55 @@ describe('metatile', function() {
             done();
     });
 
+    it('test metatile calculation with EPSG:4326 tile matrix set', function(done) {
+        var tileMatrixSet = createTileMatrixSet('EPSG:4326');
+
+        assert.deepEqual(calculateMetatile({ z: 0, x: 0, y: 0, metatile: 4, tileSize: 256, tileMatrixSet: tileMatrixSet }), {
+            width: 512,
+            height: 256,
+            tiles: [ [0, 0, 0], [0, 1, 0] ],
+            bbox: [ -180, -90, 180, 90 ],
+            x: 0, y: 0
+        });
+        assert.deepEqual(calculateMetatile({ z: 1, x: 3, y: 1, metatile: 1, tileSize: 256, tileMatrixSet: tileMatrixSet }), {
+            width: 256,
+            height: 256,
+            tiles: [ [1, 3, 1] ],
+            bbox: [ 90, -90, 180, 0 ],
+            x: 3, y: 1
+        });
+        assert.deepEqual(calculateMetatile({ z: 1, x: 3, y: 1, metatile: 2, tileSize: 256, tileMatrixSet: tileMatrixSet }), {
+            width: 512,
+            height: 512,
+            tiles: [ [1, 2, 0], [1, 2, 1], [1, 3, 0], [1, 3, 1] ],
+            bbox: [ 0, -90, 180, 90 ],
+            x: 2, y: 0
+        });
+        done();
+    });
+
+    it('test metatile calculation with explicit resolutions', function(done) {
+        var tileMatrixSet = createTileMatrixSet({
+            extent: [ 0, 0, 3000, 1000 ],
+            tileSize: 100,
+            resolutions: [ 10, 5 ]
+        });
+
+        assert.deepEqual(calculateMetatile({ z: 0, x: 2, y: 0, metatile: 2, tileSize: 100, tileMatrixSet: tileMatrixSet }), {
+            width: 100,
+            height: 100,
+            tiles: [ [0, 2, 0] ],
+            bbox: [ 2000, 0, 3000, 1000 ],
+            x: 2, y: 0
+        });
+        assert.deepEqual(calculateMetatile({ z: 1, x: 5, y: 1, metatile: 2, tileSize: 100, tileMatrixSet: tileMatrixSet }), {
+            width: 200,
+            height: 200,
+            tiles: [ [1, 4, 0], [1, 4, 1], [1, 5, 0], [1, 5, 1] ],
+            bbox: [ 2000, 0, 3000, 1000 ],
+            x: 4, y: 0
+        });
+        done();
+    });
+
 });
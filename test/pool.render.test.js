@@ -61,12 +61,152 @@ describe('Pool Render ', function() {
                     results.push(err ? err : tile);
 
                     if (results.length === tileCoords.length) {
-                        const errs = results.filter((err) => err.message === 'max waitingClients count exceeded')
+                        const errs = results.filter((err) => err.code === 'EOVERLOADED');
                         assert.ok(errs.length > 0);
+                        assert.ok(/^Map pool overloaded: /.test(errs[0].message));
+                        assert.ok(errs[0].retryAfter >= 1);
                         done();
                     }
                 });
             });
         });
     });
+
+    describe('load shedding', function() {
+        let source;
+
+        before(function(done) {
+            const uri = {
+                protocol: 'mapnik:',
+                xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+                base: './test/data/',
+                query: {
+                    poolSize: 1,
+                    poolMaxWait: 1
+                }
+            };
+
+            new MapnikBackend(uri, (err, _source) => {
+                if (err) {
+                    return done(err);
+                }
+
+                source = _source;
+                done();
+            });
+        });
+
+        after(function(done) {
+            source.close(done);
+        });
+
+        it('fails fast when the estimated wait is over budget', function(done) {
+            // a first render tells how long renders hold the map
+            source.getTile(0, 0, 0, (err) => {
+                assert.ifError(err);
+
+                let results = [];
+
+                tileCoords.slice(1).forEach(([ z, x, y ]) => {
+                    source.getTile(z, x, y, { format: 'png32' }, (err, tile) => {
+                        results.push(err ? err : tile);
+
+                        if (results.length === tileCoords.length - 1) {
+                            const errs = results.filter((err) => err.code === 'EOVERLOADED');
+                            assert.ok(errs.length > 0);
+                            assert.ok(errs.length < results.length);
+                            assert.ok(/estimated wait of \d+ms exceeds 1ms/.test(errs[0].message));
+                            done();
+                        }
+                    });
+                });
+            });
+        });
+
+        it('fails to open with an invalid budget', function(done) {
+            const uri = {
+                protocol: 'mapnik:',
+                xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+                base: './test/data/',
+                query: { poolMaxWait: 'soon' }
+            };
+
+            new MapnikBackend(uri, (err) => {
+                assert.equal(err.message, 'Invalid pool option poolMaxWait: NaN');
+                done();
+            });
+        });
+    });
+
+    describe('priority lanes', function() {
+        let source;
+
+        before(function(done) {
+            const uri = {
+                protocol: 'mapnik:',
+                xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+                base: './test/data/',
+                query: {
+                    poolSize: 2,
+                    poolReserved: 1
+                }
+            };
+
+            new MapnikBackend(uri, (err, _source) => {
+                if (err) {
+                    return done(err);
+                }
+
+                source = _source;
+                done();
+            });
+        });
+
+        after(function(done) {
+            source.close(done);
+        });
+
+        it('serves viewers while seeding', function(done) {
+            const sink = { putTile: (tile, callback) => setImmediate(callback) };
+            const seeder = source.seed({ minzoom: 0, maxzoom: 4, concurrency: 4 }, sink);
+            let seeding = true;
+
+            seeder.on('error', done);
+            seeder.on('end', () => {
+                seeding = false;
+            });
+
+            seeder.once('progress', () => {
+                assert.ok(source.getStats().borrowed <= 1);
+
+                source.getTile(4, 15, 15, (err) => {
+                    assert.ifError(err);
+                    assert.ok(seeding);
+                    seeder.abort();
+                    seeder.on('end', () => done());
+                });
+            });
+        });
+
+        it('fails with an unknown priority', function(done) {
+            source.getTile(0, 0, 0, { priority: 'urgent' }, (err) => {
+                assert.equal(err.message, 'Invalid render option priority: urgent');
+                done();
+            });
+        });
+
+        it('fails to open with every map reserved', function(done) {
+            const uri = {
+                protocol: 'mapnik:',
+                xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+                base: './test/data/',
+                query: { poolSize: 2, poolReserved: 2 }
+            };
+
+            new MapnikBackend(uri, (err) => {
+                assert.equal(err.message, 'Invalid pool option poolReserved: 2');
+                done();
+            });
+        });
+    });
 });
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const Pool = require('generic-pool');
+const { PRIORITIES, createPriorityPool, normalizePriority } = require('../lib/priority-pool');
+
+describe('priority pool', function() {
+    function createPool (max, reserved) {
+        let id = 0;
+        const factory = {
+            create: () => Promise.resolve({ id: id++ }),
+            destroy: () => Promise.resolve()
+        };
+
+        return createPriorityPool(Pool.createPool(factory, { max, priorityRange: PRIORITIES.length }), reserved);
+    }
+
+    afterEach(function() {
+        return this.pool && this.pool.drain().then(() => this.pool.clear());
+    });
+
+    it('serves high priority acquisitions first', function() {
+        const pool = this.pool = createPool(1);
+        const order = [];
+
+        return pool.acquire('high').then((map) => {
+            const low = pool.acquire('low').then((map) => {
+                order.push('low');
+                pool.release(map);
+            });
+            const high = pool.acquire('high').then((map) => {
+                order.push('high');
+                pool.release(map);
+            });
+
+            pool.release(map);
+
+            return Promise.all([ low, high ]);
+        })
+        .then(() => assert.deepEqual(order, [ 'high', 'low' ]));
+    });
+
+    it('keeps reserved maps for high priority acquisitions', function() {
+        const pool = this.pool = createPool(3, 1);
+        let waiting = true;
+
+        return Promise.all([ pool.acquire('low'), pool.acquire('low') ])
+            .then(([ first, second ]) => {
+                const third = pool.acquire('low').then((map) => {
+                    waiting = false;
+                    return map;
+                });
+
+                return pool.acquire('high')
+                    .then((map) => {
+                        assert.equal(waiting, true);
+                        assert.equal(pool.borrowed, 3);
+                        assert.equal(pool.pending, 1);
+
+                        pool.release(map);
+                        return new Promise((resolve) => setTimeout(resolve, 10));
+                    })
+                    .then(() => {
+                        // the map released by the high priority lane is still reserved
+                        assert.equal(waiting, true);
+                        pool.release(first);
+                        return third;
+                    })
+                    .then((map) => {
+                        pool.release(second);
+                        pool.release(map);
+                    });
+            });
+    });
+
+    it('frees the slot of destroyed maps', function() {
+        const pool = this.pool = createPool(2, 1);
+
+        return pool.acquire('low')
+            .then((map) => {
+                const next = pool.acquire('low');
+                pool.destroy(map);
+                return next;
+            })
+            .then((map) => pool.release(map));
+    });
+
+    it('lends maps to the low priority acquisitions waiting for a slot when drained', function() {
+        const pool = this.pool = createPool(2, 1);
+
+        return pool.acquire('low')
+            .then((map) => {
+                const next = pool.acquire('low');
+                const drained = pool.drain();
+
+                pool.release(map);
+
+                return next
+                    .then((map) => pool.release(map))
+                    .then(() => drained);
+            });
+    });
+
+    it('fails with as many reserved maps as the pool has', function() {
+        assert.throws(() => createPool(2, 2), /^ConfigurationError: Invalid pool option poolReserved: 2$/);
+        assert.throws(() => createPool(2, -1), /^ConfigurationError: Invalid pool option poolReserved: -1$/);
+    });
+
+    it('normalizes priorities', function() {
+        assert.equal(normalizePriority('render', undefined, 'high'), 'high');
+        assert.equal(normalizePriority('render', 'low', 'high'), 'low');
+        assert.throws(() => normalizePriority('render', 0, 'high'), /^InvalidRequestError: Invalid render option priority: 0$/);
+    });
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const createPyramid = require('../lib/pyramid');
+const createTileMatrixSet = require('../lib/tile-matrix-set');
+
+describe('pyramid', function() {
+    const tileMatrixSet = createTileMatrixSet();
+
+    function create (options) {
+        return createPyramid(Object.assign({ metatile: 2, tileSize: 256, tileMatrixSet }, options));
+    }
+
+    it('walks the whole grid by default', function() {
+        const pyramid = create({ minzoom: 0, maxzoom: 2 });
+        const metatiles = Array.from(pyramid.metatiles());
+
+        assert.deepEqual(pyramid.count(), { metatiles: 6, tiles: 21 });
+        assert.equal(metatiles.length, 6);
+        assert.deepEqual(metatiles.map(({ z }) => z), [ 0, 1, 2, 2, 2, 2 ]);
+        assert.deepEqual(metatiles[1].tiles, [ [ 1, 0, 0 ], [ 1, 0, 1 ], [ 1, 1, 0 ], [ 1, 1, 1 ] ]);
+        assert.deepEqual(metatiles.slice(2).map(({ metatile }) => [ metatile.x, metatile.y ]), [
+            [ 0, 0 ], [ 2, 0 ], [ 0, 2 ], [ 2, 2 ]
+        ]);
+    });
+
+    it('projects WGS84 bboxes and keeps tiles within them', function() {
+        const pyramid = create({ bbox: [ 1, 1, 179, 84 ], minzoom: 2, maxzoom: 2 });
+        const metatiles = Array.from(pyramid.metatiles());
+
+        assert.deepEqual(pyramid.count(), { metatiles: 1, tiles: 4 });
+        assert.equal(metatiles.length, 1);
+        assert.deepEqual(metatiles[0].tiles, [ [ 2, 2, 0 ], [ 2, 2, 1 ], [ 2, 3, 0 ], [ 2, 3, 1 ] ]);
+    });
+
+    it('aligns metatiles to the metatile boundary', function() {
+        const pyramid = create({ bbox: [ -1, -1, 1, 1 ], minzoom: 3, maxzoom: 3 });
+        const metatiles = Array.from(pyramid.metatiles());
+
+        assert.deepEqual(pyramid.count(), { metatiles: 4, tiles: 4 });
+        assert.deepEqual(metatiles.map(({ metatile }) => [ metatile.x, metatile.y ]), [
+            [ 2, 2 ], [ 4, 2 ], [ 2, 4 ], [ 4, 4 ]
+        ]);
+        assert.deepEqual(metatiles.map(({ tiles }) => tiles), [
+            [ [ 3, 3, 3 ] ], [ [ 3, 4, 3 ] ], [ [ 3, 3, 4 ] ], [ [ 3, 4, 4 ] ]
+        ]);
+    });
+
+    it('uses map units for other tile matrix sets', function() {
+        const pyramid = create({ bbox: [ 0, 0, 90, 90 ], minzoom: 1, maxzoom: 1, tileMatrixSet: createTileMatrixSet('EPSG:4326') });
+
+        assert.deepEqual(pyramid.count(), { metatiles: 1, tiles: 1 });
+    });
+});
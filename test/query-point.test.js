@@ -0,0 +1,45 @@
+const assert = require('assert');
+const normalizeQueryOptions = require('../lib/query-point');
+const createTileMatrixSet = require('../lib/tile-matrix-set');
+
+describe('query point options', function() {
+    const config = { tileSize: 256, tileMatrixSet: createTileMatrixSet() };
+
+    it('resolves the tile containing the point', function() {
+        const params = normalizeQueryOptions(90, 45, 1, {}, config);
+
+        assert.deepEqual([ params.x, params.y ].map(Math.round), [ 10018754, 5621521 ]);
+        assert.equal(params.z, 1);
+        assert.deepEqual(params.bbox, [ 0, 0, 20037508.342789244, 20037508.342789244 ]);
+        assert.equal(params.size, 256);
+        assert.equal(params.layers, undefined);
+    });
+
+    it('resizes the map to match the tolerance', function() {
+        assert.equal(normalizeQueryOptions(0, 0, 0, { tolerance: 6 }, config).size, 128);
+        assert.equal(normalizeQueryOptions(0, 0, 0, { tolerance: 1 }, config).size, 768);
+    });
+
+    it('accepts a list of layers', function() {
+        assert.deepEqual(normalizeQueryOptions(0, 0, 0, { layers: 'pois,admin' }, config).layers, [ 'pois', 'admin' ]);
+        assert.deepEqual(normalizeQueryOptions(0, 0, 0, { layers: [ 'pois' ] }, config).layers, [ 'pois' ]);
+    });
+
+    it('uses map units for other tile matrix sets', function() {
+        const params = normalizeQueryOptions(90, 45, 1, {}, { tileSize: 256, tileMatrixSet: createTileMatrixSet('EPSG:4326') });
+
+        assert.deepEqual(params.bbox, [ 90, 0, 180, 90 ]);
+    });
+
+    [
+        { args: [ 'a', 0, 0, {} ], message: /Invalid query point/ },
+        { args: [ 0, 0, 1.5, {} ], message: /Invalid query point/ },
+        { args: [ 0, 0, 0, { tolerance: 0 } ], message: /Invalid query option tolerance: 0/ },
+        { args: [ 0, 0, 0, { layers: [] } ], message: /Invalid query option layers/ },
+        { args: [ 200, 0, 0, {} ], message: /Coordinates out of range/ }
+    ].forEach(({ args, message }) => {
+        it(`rejects ${JSON.stringify(args)}`, function() {
+            assert.throws(() => normalizeQueryOptions(...args, config), message);
+        });
+    });
+});
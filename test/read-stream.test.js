@@ -0,0 +1,106 @@
+const assert = require('assert');
+const createReadStream = require('../lib/read-stream');
+const createTileMatrixSet = require('../lib/tile-matrix-set');
+
+describe('read stream', function() {
+    const config = { format: 'png', tileSize: 256, metatile: 2, tileMatrixSet: createTileMatrixSet() };
+
+    function createSource () {
+        return {
+            open: true,
+            renders: [],
+            _renderMetatile (format, z, x, y, metatile, renderOptions, mapPool, priority, status, callback) {
+                this.renders.push({ format, z, x, y });
+
+                const tiles = {};
+                metatile.tiles.forEach((coords) => {
+                    tiles[coords.join(',')] = { image: `${format}:${coords.join('/')}`, headers: {} };
+                });
+
+                setImmediate(() => callback(null, tiles));
+            }
+        };
+    }
+
+    function collect (stream, callback) {
+        const tiles = [];
+
+        stream.on('data', (tile) => tiles.push(tile));
+        stream.on('error', callback);
+        stream.on('end', () => callback(null, tiles));
+    }
+
+    it('streams every tile of the pyramid', function(done) {
+        const source = createSource();
+        const stream = createReadStream(source, { minzoom: 0, maxzoom: 2 }, config);
+        let length;
+
+        stream.on('length', (total) => length = total);
+
+        collect(stream, (err, tiles) => {
+            assert.ifError(err);
+            assert.equal(length, 21);
+            assert.equal(tiles.length, 21);
+            assert.equal(source.renders.length, 6);
+            assert.deepEqual(tiles[0], { z: 0, x: 0, y: 0, buffer: 'png:0/0/0', headers: {} });
+            assert.deepEqual(stream.stats, { total: 21, done: 21 });
+            done();
+        });
+    });
+
+    it('streams grids', function(done) {
+        const stream = createReadStream(createSource(), { minzoom: 1, maxzoom: 1, type: 'grids' }, config);
+
+        collect(stream, (err, tiles) => {
+            assert.ifError(err);
+            assert.deepEqual(tiles.map(({ buffer }) => buffer), [ 'utf:1/0/0', 'utf:1/0/1', 'utf:1/1/0', 'utf:1/1/1' ]);
+            done();
+        });
+    });
+
+    it('renders the next metatile once the previous one has been read', function(done) {
+        const source = createSource();
+        const stream = createReadStream(source, { minzoom: 2, maxzoom: 2 }, config);
+
+        stream.once('readable', () => {
+            setTimeout(() => {
+                assert.equal(source.renders.length, 1);
+
+                for (let i = 0; i < 4; i++) {
+                    assert.ok(stream.read());
+                }
+
+                stream.once('readable', () => {
+                    assert.equal(source.renders.length, 2);
+                    done();
+                });
+            }, 20);
+        });
+    });
+
+    it('fails with render errors', function(done) {
+        const source = createSource();
+        source._renderMetatile = (format, z, x, y, metatile, renderOptions, mapPool, priority, status, callback) => {
+            setImmediate(() => callback(new Error('Render failed')));
+        };
+
+        collect(createReadStream(source, { minzoom: 0, maxzoom: 0 }, config), (err) => {
+            assert.equal(err.message, 'Render failed');
+            done();
+        });
+    });
+
+    it('fails with a bad type', function(done) {
+        collect(createReadStream(createSource(), { minzoom: 0, maxzoom: 0, type: 'vectors' }, config), (err) => {
+            assert.equal(err.message, 'Invalid stream option type: vectors');
+            done();
+        });
+    });
+
+    it('fails with a bad zoom range', function(done) {
+        collect(createReadStream(createSource(), { minzoom: 2, maxzoom: 0 }, config), (err) => {
+            assert.equal(err.message, 'Invalid stream option maxzoom: 0');
+            done();
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { normalizeTileOptions, normalizeGridOptions } = require('../lib/render-options');
+
+describe('render options', function() {
+    describe('tiles', function() {
+        it('defaults to no options', function() {
+            assert.deepEqual(normalizeTileOptions(), {});
+            assert.deepEqual(normalizeTileOptions({ format: 'png' }), {});
+        });
+
+        it('normalizes values', function() {
+            assert.deepEqual(normalizeTileOptions({ scale: '2', bufferSize: '0', variables: { color: 'red' } }), {
+                scale: 2,
+                bufferSize: 0,
+                variables: { color: 'red' }
+            });
+        });
+
+        it('copies variables', function() {
+            const variables = { color: 'red' };
+            const options = normalizeTileOptions({ variables });
+
+            options.variables.zoom = 2;
+            assert.deepEqual(variables, { color: 'red' });
+        });
+
+        it('sorts and dedupes layers', function() {
+            assert.deepEqual(normalizeTileOptions({ layers: 'roads,labels,roads', excludeLayers: [ 'water' ] }), {
+                layers: [ 'labels', 'roads' ],
+                excludeLayers: [ 'water' ]
+            });
+        });
+
+        [
+            { scale: 0 },
+            { scale: 'big' },
+            { bufferSize: -1 },
+            { bufferSize: 1.5 },
+            { variables: 'color' },
+            { variables: { color: { r: 255 } } },
+            { layers: [] },
+            { excludeLayers: 'roads,' }
+        ].forEach((options) => {
+            it(`rejects ${JSON.stringify(options)}`, function() {
+                assert.throws(() => normalizeTileOptions(options), /Invalid render option/);
+            });
+        });
+    });
+
+    describe('grids', function() {
+        it('defaults to no options', function() {
+            assert.deepEqual(normalizeGridOptions(), {});
+        });
+
+        it('normalizes values', function() {
+            assert.deepEqual(normalizeGridOptions({ resolution: '2', fields: 'NAME,ISO' }), {
+                resolution: 2,
+                fields: [ 'NAME', 'ISO' ]
+            });
+            assert.deepEqual(normalizeGridOptions({ fields: [ 'NAME' ] }), { fields: [ 'NAME' ] });
+            assert.deepEqual(normalizeGridOptions({ layers: 'pois,admin', merge: false }), {
+                layers: [ 'pois', 'admin' ],
+                merge: false
+            });
+            assert.deepEqual(normalizeGridOptions({ variables: { lang: 'es', id: 3, on: true } }), {
+                variables: { lang: 'es', id: 3, on: true }
+            });
+        });
+
+        [
+            { resolution: 0 },
+            { resolution: 1.5 },
+            { fields: [] },
+            { fields: [ 'NAME', '' ] },
+            { layers: [] },
+            { merge: 'no' },
+            { variables: [ 'es' ] }
+        ].forEach((options) => {
+            it(`rejects ${JSON.stringify(options)}`, function() {
+                assert.throws(() => normalizeGridOptions(options), /Invalid render option/);
+            });
+        });
+    });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('Formats', function() {
+    function open (query, callback) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/test.xml', 'utf8'),
+            base: './test/data/',
+            query
+        };
+
+        new MapnikBackend(uri, callback);
+    }
+
+    [
+        { format: 'webp:quality=80', type: 'image/webp', magic: 'RIFF' },
+        { format: 'tiff', type: 'image/tiff', magic: 'II*' }
+    ].forEach(({ format, type, magic }) => {
+        it(`renders ${format} tiles`, function(done) {
+            open({ format }, (err, source) => {
+                assert.ifError(err);
+
+                source.getTile(0, 0, 0, (err, tile, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Content-Type'], type);
+                    assert.equal(tile.slice(0, magic.length).toString('binary'), magic);
+                    source.close(done);
+                });
+            });
+        });
+    });
+
+    it('fails to render unknown formats', function(done) {
+        open({}, (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(0, 0, 0, { format: 'gif' }, (err) => {
+                assert.equal(err.message, 'Invalid format: gif');
+                source.close(done);
+            });
+        });
+    });
+
+    it('fails to open with an unknown format', function(done) {
+        open({ format: 'gif' }, (err) => {
+            assert.equal(err.message, 'Invalid format: gif');
+            done();
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('Grids of several interactivity layers', function() {
+    let source;
+
+    before(function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/test_interactivity_layers.xml', 'utf8'),
+            base: './test/data/'
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    after(function(done) {
+        source.close(done);
+    });
+
+    it('merges the grids of every layer with prefixed keys', function(done) {
+        source.getGrid(2, 2, 1, (err, grid, headers) => {
+            assert.ifError(err);
+            assert.equal(headers['Content-Type'], 'application/json');
+            assert.equal(grid.grid.length, 64);
+            assert.equal(grid.keys[0], '');
+            assert.ok(grid.keys.length > 1);
+
+            // `regions` is listed last, so it's on top
+            grid.keys.slice(1).forEach((key) => {
+                assert.ok(/^regions:/.test(key), key);
+                assert.deepEqual(Object.keys(grid.data[key]).sort(), [ 'REGION', 'SUBREGION' ]);
+            });
+            done();
+        });
+    });
+
+    it('returns a grid per layer', function(done) {
+        source.getGrid(2, 2, 1, { merge: false }, (err, grids) => {
+            assert.ifError(err);
+            assert.deepEqual(Object.keys(grids), [ 'world', 'regions' ]);
+            Object.keys(grids.world.data).forEach((key) => assert.deepEqual(Object.keys(grids.world.data[key]), [ 'NAME' ]));
+            done();
+        });
+    });
+
+    it('returns a grid per layer of a single layer', function(done) {
+        source.getGrid(2, 2, 1, { layers: [ 'world' ], merge: false }, (err, grids) => {
+            assert.ifError(err);
+            assert.deepEqual(Object.keys(grids), [ 'world' ]);
+            assert.ok(grids.world.keys.slice(1).every((key) => !/:/.test(key)));
+            Object.keys(grids.world.data).forEach((key) => assert.deepEqual(Object.keys(grids.world.data[key]), [ 'NAME' ]));
+            done();
+        });
+    });
+
+    it('renders the requested layers only', function(done) {
+        source.getGrid(2, 2, 1, { layers: [ 'world' ] }, (err, grid) => {
+            assert.ifError(err);
+            assert.ok(grid.keys.slice(1).every((key) => !/:/.test(key)));
+            Object.keys(grid.data).forEach((key) => assert.deepEqual(Object.keys(grid.data[key]), [ 'NAME' ]));
+            done();
+        });
+    });
+
+    it('fails with unknown layers', function(done) {
+        source.getGrid(2, 2, 1, { layers: [ 'roads' ] }, (err) => {
+            assert.equal(err.message, 'Unknown interactivity layer: roads');
+            done();
+        });
+    });
+});
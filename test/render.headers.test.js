@@ -0,0 +1,97 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('Caching headers', function() {
+    let source;
+
+    before(function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/test.xml', 'utf8'),
+            base: './test/data/',
+            query: { maxAge: { '0-1': 86400, '2-4': 600 } }
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    after(function(done) {
+        source.close(done);
+    });
+
+    it('tags tiles with a content hash', function(done) {
+        source.getTile(1, 0, 0, (err, tile, headers) => {
+            assert.ifError(err);
+            assert.ok(/^"[0-9a-f]{32}"$/.test(headers.ETag), headers.ETag);
+
+            source.getTile(1, 1, 0, (err, sibling, siblingHeaders) => {
+                assert.ifError(err);
+                assert.equal(siblingHeaders['Carto-Metatile-Cache'], 'HIT');
+                assert.notEqual(siblingHeaders.ETag, headers.ETag);
+
+                source.getTile(1, 0, 0, { format: 'png' }, (err, again, againHeaders) => {
+                    assert.ifError(err);
+                    assert.equal(againHeaders.ETag, headers.ETag);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('tags grids with a content hash', function(done) {
+        source.getGrid(1, 0, 0, (err, grid, headers) => {
+            assert.ifError(err);
+            assert.ok(/^"[0-9a-f]{32}"$/.test(headers.ETag), headers.ETag);
+            done();
+        });
+    });
+
+    it('sets Last-Modified to the time the style was loaded', function(done) {
+        source.getTile(2, 0, 0, (err, tile, headers) => {
+            assert.ifError(err);
+            assert.equal(headers['Last-Modified'], source._lastModified);
+            assert.ok(Date.now() - Date.parse(headers['Last-Modified']) < 60000);
+            done();
+        });
+    });
+
+    it('sets Cache-Control per zoom level', function(done) {
+        source.getTile(0, 0, 0, (err, tile, headers) => {
+            assert.ifError(err);
+            assert.equal(headers['Cache-Control'], 'max-age=86400');
+
+            source.getTile(3, 0, 0, (err, tile, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Cache-Control'], 'max-age=600');
+
+                source.getTile(5, 0, 0, (err, tile, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Cache-Control'], undefined);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('fails to open with an invalid maxAge', function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/test.xml', 'utf8'),
+            base: './test/data/',
+            query: { maxAge: -1 }
+        };
+
+        new MapnikBackend(uri, (err) => {
+            assert.equal(err.message, 'Invalid cache option maxAge: -1');
+            done();
+        });
+    });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('Rendering a subset of layers', function() {
+    function open (query, callback) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/test_interactivity_layers.xml', 'utf8'),
+            base: './test/data/',
+            query: Object.assign({ bufferSize: 0 }, query)
+        };
+
+        new MapnikBackend(uri, callback);
+    }
+
+    it('renders every layer by default', function(done) {
+        open({}, (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(0, 0, 0, (err, tile, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Solid-Color'], undefined);
+                source.close(done);
+            });
+        });
+    });
+
+    it('excludes layers', function(done) {
+        open({}, (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(0, 0, 0, { excludeLayers: [ 'world', 'regions' ] }, (err, tile, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Solid-Color'], '255,255,255,255');
+                source.close(done);
+            });
+        });
+    });
+
+    it('includes layers', function(done) {
+        open({}, (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(0, 0, 0, { layers: 'world' }, (err, tile, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Solid-Color'], undefined);
+                source.close(done);
+            });
+        });
+    });
+
+    it('caches every subset apart', function(done) {
+        open({}, (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(0, 0, 0, (err) => {
+                assert.ifError(err);
+
+                source.getTile(0, 0, 0, { excludeLayers: 'world,regions' }, (err, tile, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+                    assert.equal(headers['Carto-Solid-Color'], '255,255,255,255');
+
+                    // same subset listed in another order
+                    source.getTile(0, 0, 0, { excludeLayers: [ 'regions', 'world' ] }, (err, tile, headers) => {
+                        assert.ifError(err);
+                        assert.notEqual(headers['Carto-Metatile-Cache'], 'MISS');
+                        source.close(done);
+                    });
+                });
+            });
+        });
+    });
+
+    it('renders while the pool of its subset is evicted', function(done) {
+        open({ poolLayerSubsets: 1 }, (err, source) => {
+            assert.ifError(err);
+
+            let pending = 2;
+            const rendered = (err) => {
+                assert.ifError(err);
+
+                if (--pending === 0) {
+                    source.close(done);
+                }
+            };
+
+            source.getTile(0, 0, 0, { layers: [ 'world' ] }, rendered);
+            source.getTile(0, 0, 0, { excludeLayers: [ 'world', 'regions' ] }, rendered);
+        });
+    });
+
+    it('takes the layers from the URI', function(done) {
+        open({ excludeLayers: 'world,regions' }, (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(0, 0, 0, (err, tile, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Solid-Color'], '255,255,255,255');
+
+                // per request layers replace the ones from the URI
+                source.getTile(0, 0, 0, { layers: [ 'world' ] }, (err, tile, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Carto-Solid-Color'], undefined);
+                    source.close(done);
+                });
+            });
+        });
+    });
+
+    it('fails with unknown layers', function(done) {
+        open({}, (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(0, 0, 0, { layers: [ 'world', 'roads' ] }, (err) => {
+                assert.equal(err.message, 'Unknown layer: roads');
+                source.close(done);
+            });
+        });
+    });
+
+    it('fails to open with unknown layers in the URI', function(done) {
+        open({ layers: 'roads' }, (err) => {
+            assert.equal(err.message, 'Unknown layer: roads');
+            done();
+        });
+    });
+});
@@ -2,6 +2,7 @@ const fs = require('fs');
 const assert = require('./support/assert');
 const MapnikBackend = require('..');
 const util = require('util');
+const removeTree = require('./support/remove-tree');
 
 describe('Render Metatile Cache Headers ', function() {
     const scenario = [
@@ -71,3 +72,113 @@ describe('Render Metatile Cache Headers ', function() {
         });
     });
 });
+
+describe('Render Metatile Cache Headers with persistent storage', function() {
+    const os = require('os');
+    const path = require('path');
+
+    let storagePath;
+
+    beforeEach(function() {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'tilelive-mapnik-'));
+    });
+
+    afterEach(function() {
+        removeTree(storagePath);
+    });
+
+    // `stored(count)` resolves once `count` tiles have been written
+    function createStorage () {
+        const storage = new MapnikBackend.FilesystemStorage({ path: storagePath });
+        const set = storage.set.bind(storage);
+        const writes = [];
+        const waiting = [];
+
+        storage.set = (key, tile) => {
+            const write = set(key, tile);
+
+            writes.push(write);
+            waiting.filter(({ count }) => writes.length >= count)
+                .forEach(({ count, resolve }) => resolve(Promise.all(writes.slice(0, count))));
+
+            return write;
+        };
+
+        storage.stored = (count) => new Promise((resolve) => {
+            if (writes.length >= count) {
+                return resolve(Promise.all(writes.slice(0, count)));
+            }
+
+            waiting.push({ count, resolve });
+        });
+
+        return storage;
+    }
+
+    function createSource (storage, callback) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+            base: './test/data/',
+            query: {
+                metatile: 2,
+                metatileCache: { storage }
+            }
+        };
+
+        new MapnikBackend(uri, callback);
+    }
+
+    it('Carto-Metatile-Cache tells apart fresh, memory and persistent tiles', function (done) {
+        const storage = createStorage();
+
+        createSource(storage, (err, source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source.getTile(1, 0, 0, (err, tile, headers) => {
+                if (err) {
+                    return done(err);
+                }
+
+                assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+
+                source.getTile(1, 1, 0, (err, tile, headers) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+
+                    // the 4 tiles of the metatile
+                    storage.stored(4).then(() => {
+                        source.close((err) => {
+                            if (err) {
+                                return done(err);
+                            }
+
+                            createSource(new MapnikBackend.FilesystemStorage({ path: storagePath }), (err, source) => {
+                                if (err) {
+                                    return done(err);
+                                }
+
+                                source.getTile(1, 1, 1, (err, storedTile, headers) => {
+                                    if (err) {
+                                        return done(err);
+                                    }
+
+                                    assert.equal(headers['Carto-Metatile-Cache'], 'PERSISTENT');
+                                    assert.equal(headers['Content-Type'], 'image/png');
+                                    assert.ok(fs.existsSync(path.join(storagePath, '1', '1', '1.png')));
+                                    source.close(done);
+                                });
+                            });
+                        });
+                    })
+                    .catch(done);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('Per-request render options', function() {
+    let source;
+
+    beforeEach(function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/test.xml', 'utf8'),
+            base: './test/data/'
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        source.close(done);
+    });
+
+    it('getTile() overrides the format', function(done) {
+        source.getTile(0, 0, 0, { format: 'jpeg:quality=20' }, (err, tile, headers) => {
+            if (err) {
+                return done(err);
+            }
+
+            assert.equal(headers['Content-Type'], 'image/jpeg');
+            assert.imageEqualsFile(tile, 'test/fixture/tiles/world-jpeg20.jpeg', 0.05, 'jpeg:quality=20', done);
+        });
+    });
+
+    it('getTile() does not share cached tiles between variants', function(done) {
+        source.getTile(1, 0, 0, { scale: 2 }, (err, tile, headers) => {
+            if (err) {
+                return done(err);
+            }
+
+            assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+
+            source.getTile(1, 1, 1, (err, tile, headers) => {
+                if (err) {
+                    return done(err);
+                }
+
+                assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+
+                source.getTile(1, 1, 1, { scale: 2 }, (err, tile, headers) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+                    done();
+                });
+            });
+        });
+    });
+
+    it('getTile() fails with invalid options', function(done) {
+        source.getTile(0, 0, 0, { bufferSize: -1 }, (err) => {
+            assert.ok(err);
+            assert.equal(err.message, 'Invalid render option bufferSize: -1');
+            done();
+        });
+    });
+
+    it('getGrid() overrides resolution and fields', function(done) {
+        source.getGrid(0, 0, 0, { resolution: 8, fields: [ 'NAME', 'ISO2' ] }, (err, grid, headers) => {
+            if (err) {
+                return done(err);
+            }
+
+            assert.equal(headers['Content-Type'], 'application/json');
+            assert.equal(grid.grid.length, 256 / 8);
+
+            const feature = Object.keys(grid.data).map((key) => grid.data[key])[0];
+            assert.ok(feature.hasOwnProperty('NAME'));
+            assert.ok(feature.hasOwnProperty('ISO2'));
+            done();
+        });
+    });
+});
+
+describe('Per-request variables', function() {
+    const defaultColor = '#A3D979';
+    const requestColor = '#082910';
+    let source;
+
+    before(function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/world_variable.xml', 'utf8'),
+            base: './test/data/',
+            query: { variables: { customColor: defaultColor } }
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    after(function(done) {
+        source.close(done);
+    });
+
+    it('merges the variables of a request over the defaults', function(done) {
+        source.getTile(2, 2, 2, { variables: { customColor: requestColor } }, (err, tile) => {
+            assert.ifError(err);
+            assert.imageEqualsFile(tile, `test/fixture/tiles/transparent_2_2_2_${requestColor}.png`, done);
+        });
+    });
+
+    it('keeps the default variables untouched', function(done) {
+        source.getTile(2, 2, 2, (err, tile, headers) => {
+            assert.ifError(err);
+            assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+            assert.deepEqual(source._uri.query.variables, { customColor: defaultColor });
+            assert.imageEqualsFile(tile, `test/fixture/tiles/transparent_2_2_2_${defaultColor}.png`, done);
+        });
+    });
+
+    it('fails with variables Mapnik ignores', function(done) {
+        source.getGrid(0, 0, 0, { variables: { customColor: [ 255, 0, 0 ] } }, (err) => {
+            assert.equal(err.message, 'Invalid render option variables: customColor');
+            done();
+        });
+    });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('queryPoint', function() {
+    let source;
+
+    before(function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/test_interactivity_layers.xml', 'utf8'),
+            base: './test/data/'
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    after(function(done) {
+        source.close(done);
+    });
+
+    it('returns the features of every layer with their attributes', function(done) {
+        source.queryPoint(-3.7, 40.4, 4, (err, features) => {
+            assert.ifError(err);
+            assert.deepEqual(features.map(({ layer }) => layer).sort(), [ 'regions', 'world' ]);
+            features.forEach((feature) => {
+                assert.equal(feature.attributes.NAME, 'Spain');
+                assert.ok(Number.isFinite(feature.id));
+            });
+            done();
+        });
+    });
+
+    it('queries the requested layers only', function(done) {
+        source.queryPoint(-3.7, 40.4, 4, { layers: [ 'world' ] }, (err, features) => {
+            assert.ifError(err);
+            assert.equal(features.length, 1);
+            assert.equal(features[0].layer, 'world');
+            done();
+        });
+    });
+
+    it('returns nothing far from any feature', function(done) {
+        source.queryPoint(-140, -40, 4, { tolerance: 1 }, (err, features) => {
+            assert.ifError(err);
+            assert.deepEqual(features, []);
+            done();
+        });
+    });
+
+    it('fails with unknown layers', function(done) {
+        source.queryPoint(-3.7, 40.4, 4, { layers: [ 'roads' ] }, (err) => {
+            assert.equal(err.message, 'Unknown layer: roads');
+            done();
+        });
+    });
+
+    it('fails out of range', function(done) {
+        source.queryPoint(-3.7, 40.4, -1, (err) => {
+            assert.equal(err.message, 'Invalid query point: -3.7,40.4,-1');
+            done();
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('Seeding and streaming', function() {
+    let source;
+
+    before(function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+            base: './test/data/',
+            query: { metatile: 2 }
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    after(function(done) {
+        source.close(done);
+    });
+
+    it('hands the same tiles getTile renders to the sink', function(done) {
+        const tiles = [];
+        const sink = {
+            putTile: (tile, callback) => {
+                tiles.push(tile);
+                callback();
+            }
+        };
+        const seeder = source.seed({ minzoom: 0, maxzoom: 1 }, sink);
+
+        seeder.on('error', done);
+        seeder.on('end', ({ tiles: count }) => {
+            assert.equal(count, 5);
+            assert.deepEqual(tiles.map(({ z, x, y }) => [ z, x, y ]), [
+                [ 0, 0, 0 ], [ 1, 0, 0 ], [ 1, 0, 1 ], [ 1, 1, 0 ], [ 1, 1, 1 ]
+            ]);
+
+            source.getTile(1, 1, 0, (err, image, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Content-Type'], tiles[3].headers['Content-Type']);
+                assert.deepEqual(image, tiles[3].image);
+                done();
+            });
+        });
+    });
+
+    it('streams the same tiles getTile renders', function(done) {
+        const tiles = [];
+        const stream = source.createReadStream({ minzoom: 1, maxzoom: 1 });
+
+        stream.on('data', (tile) => tiles.push(tile));
+        stream.on('error', done);
+        stream.on('end', () => {
+            assert.deepEqual(tiles.map(({ z, x, y }) => [ z, x, y ]), [ [ 1, 0, 0 ], [ 1, 0, 1 ], [ 1, 1, 0 ], [ 1, 1, 1 ] ]);
+
+            source.getTile(1, 0, 1, (err, image) => {
+                assert.ifError(err);
+                assert.deepEqual(image, tiles[1].buffer);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('Solid tiles', function() {
+    function open (xml, callback) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync(`./test/data/${xml}`, 'utf8'),
+            base: './test/data/',
+            query: { metatile: 2, bufferSize: 0 }
+        };
+
+        new MapnikBackend(uri, callback);
+    }
+
+    // open ocean tiles in the south pacific, in different metatiles
+    const oceanTiles = [ [ 6, 5, 40 ], [ 6, 6, 40 ] ];
+
+    it('shares one buffer between empty tiles', function(done) {
+        open('world.xml', (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(...oceanTiles[0], (err, first, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Empty-Tile'], 'true');
+                assert.equal(headers['Carto-Solid-Color'], undefined);
+
+                source.getTile(...oceanTiles[1], (err, second, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Carto-Empty-Tile'], 'true');
+                    assert.strictEqual(second, first);
+                    source.close(done);
+                });
+            });
+        });
+    });
+
+    it('tags single colour tiles with their colour', function(done) {
+        open('world_background.xml', (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(...oceanTiles[0], (err, first, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Solid-Color'], '0,0,255,255');
+                assert.equal(headers['Carto-Empty-Tile'], undefined);
+
+                source.getTile(...oceanTiles[1], (err, second) => {
+                    assert.ifError(err);
+                    assert.strictEqual(second, first);
+                    source.close(done);
+                });
+            });
+        });
+    });
+
+    it('keeps the buffers of the last 64 colours', function(done) {
+        open('world.xml', (err, source) => {
+            assert.ifError(err);
+
+            for (let i = 0; i < 64; i++) {
+                source._solidTiles.set(`png,${i},0,0,255`, Buffer.from([ i ]));
+            }
+
+            source.getTile(...oceanTiles[0], (err, empty) => {
+                assert.ifError(err);
+                assert.equal(source._solidTiles.size, 64);
+                assert.ok(!source._solidTiles.has('png,0,0,0,255'));
+                assert.strictEqual([ ...source._solidTiles.values() ].pop(), empty);
+                source.close(done);
+            });
+        });
+    });
+
+    it('keeps buffers apart per format', function(done) {
+        open('world_background.xml', (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(...oceanTiles[0], (err, png) => {
+                assert.ifError(err);
+
+                source.getTile(...oceanTiles[1], { format: 'jpeg' }, (err, jpeg, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Content-Type'], 'image/jpeg');
+                    assert.notStrictEqual(jpeg, png);
+                    source.close(done);
+                });
+            });
+        });
+    });
+
+    it('does not tag tiles with features', function(done) {
+        open('world.xml', (err, source) => {
+            assert.ifError(err);
+
+            source.getTile(0, 0, 0, (err, tile, headers) => {
+                assert.ifError(err);
+                assert.equal(headers['Carto-Empty-Tile'], undefined);
+                assert.equal(headers['Carto-Solid-Color'], undefined);
+                source.close(done);
+            });
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('getStaticImage()', function() {
+    let source;
+
+    before(function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+            base: './test/data/'
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    after(function(done) {
+        source.close(done);
+    });
+
+    it('renders the same image as the z0 tile for the whole world', function(done) {
+        source.getStaticImage({ center: [ 0, 0 ], zoom: 0, width: 256, height: 256, format: 'png32' }, (err, image, headers, stats) => {
+            if (err) {
+                return done(err);
+            }
+
+            assert.equal(headers['Content-Type'], 'image/png');
+            assert.ok(stats.hasOwnProperty('render'));
+            assert.ok(stats.hasOwnProperty('encode'));
+            assert.imageEqualsFile(image, 'test/fixture/tiles/transparent_0_0_0.png', done);
+        });
+    });
+
+    it('renders a bbox with the requested size and scale', function(done) {
+        source.getStaticImage({ bbox: [ -20, 30, 40, 60 ], width: 300, height: 200, scale: 2, format: 'jpeg' }, (err, image, headers) => {
+            if (err) {
+                return done(err);
+            }
+
+            assert.equal(headers['Content-Type'], 'image/jpeg');
+
+            const decoded = MapnikBackend.mapnik.Image.fromBytesSync(image);
+            assert.equal(decoded.width(), 600);
+            assert.equal(decoded.height(), 400);
+            done();
+        });
+    });
+
+    it('does not populate the metatile cache', function(done) {
+        source.getStaticImage({ center: [ 0, 0 ], zoom: 1, width: 256, height: 256 }, (err) => {
+            if (err) {
+                return done(err);
+            }
+
+            assert.deepEqual(source._metatileCache.results, {});
+            done();
+        });
+    });
+
+    it('fails with invalid options', function(done) {
+        source.getStaticImage({ width: 256, height: 256 }, (err) => {
+            assert.ok(err);
+            assert.equal(err.message, 'Static image requires either a bbox or a center and zoom');
+            done();
+        });
+    });
+
+    it('fails with another tile matrix set', function(done) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+            base: './test/data/',
+            query: { tileMatrixSet: 'EPSG:4326' }
+        };
+
+        new MapnikBackend(uri, (err, geographic) => {
+            assert.ifError(err);
+
+            geographic.getStaticImage({ center: [ 0, 0 ], zoom: 0, width: 256, height: 256 }, (err) => {
+                assert.ok(err instanceof MapnikBackend.errors.InvalidRequestError);
+                assert.equal(err.message, 'Static images require the EPSG:3857 tile matrix set');
+                geographic.close(done);
+            });
+        });
+    });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+describe('Render Vector Tiles ', function() {
+    function createSource (query, callback) {
+        const uri = {
+            protocol: 'mapnik:',
+            xml: fs.readFileSync('./test/data/world.xml', 'utf8'),
+            base: './test/data/',
+            query
+        };
+
+        new MapnikBackend(uri, callback);
+    }
+
+    [ 'mvt', 'pbf' ].forEach((format) => {
+        it(`getTile() renders ${format}`, function(done) {
+            createSource({ format }, (err, source) => {
+                if (err) {
+                    return done(err);
+                }
+
+                source.getTile(0, 0, 0, (err, tile, headers, stats) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    assert.equal(headers['Content-Type'], 'application/x-protobuf');
+                    assert.equal(headers['Content-Encoding'], undefined);
+                    assert.ok(stats.hasOwnProperty('render'));
+                    assert.ok(stats.hasOwnProperty('encode'));
+
+                    const vtile = new MapnikBackend.mapnik.VectorTile(0, 0, 0);
+                    vtile.setData(tile);
+                    assert.deepEqual(vtile.names(), [ 'world' ]);
+
+                    source.close(done);
+                });
+            });
+        });
+    });
+
+    it('getTile() renders gzipped mvt', function(done) {
+        createSource({ format: 'mvt', vectorCompression: 'gzip' }, (err, source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source.getTile(0, 0, 0, (err, tile, headers) => {
+                if (err) {
+                    return done(err);
+                }
+
+                assert.equal(headers['Content-Type'], 'application/x-protobuf');
+                assert.equal(headers['Content-Encoding'], 'gzip');
+
+                const vtile = new MapnikBackend.mapnik.VectorTile(0, 0, 0);
+                vtile.setData(zlib.gunzipSync(tile));
+                assert.deepEqual(vtile.names(), [ 'world' ]);
+
+                source.close(done);
+            });
+        });
+    });
+
+    it('getTile() renders brotli compressed mvt', function(done) {
+        createSource({ format: 'mvt', vectorCompression: 'br' }, (err, source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source.getTile(0, 0, 0, (err, tile, headers) => {
+                if (err) {
+                    return done(err);
+                }
+
+                assert.equal(headers['Content-Encoding'], 'br');
+
+                const vtile = new MapnikBackend.mapnik.VectorTile(0, 0, 0);
+                vtile.setData(zlib.brotliDecompressSync(tile));
+                assert.deepEqual(vtile.names(), [ 'world' ]);
+
+                source.close(done);
+            });
+        });
+    });
+
+    it('fails to open with an unknown compression', function(done) {
+        createSource({ format: 'mvt', vectorCompression: 'zip' }, (err) => {
+            assert.equal(err.message, 'Invalid compression option vectorCompression: zip');
+            done();
+        });
+    });
+
+    it('fails to open with another tile matrix set', function(done) {
+        createSource({ format: 'mvt', tileMatrixSet: 'EPSG:4326' }, (err) => {
+            assert.ok(err instanceof MapnikBackend.errors.ConfigurationError);
+            assert.equal(err.message, 'Invalid format for the tile matrix set: mvt tiles require EPSG:3857');
+            done();
+        });
+    });
+
+    it('getTile() fails with another tile matrix set', function(done) {
+        createSource({ tileMatrixSet: 'EPSG:4326' }, (err, source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source.getTile(0, 0, 0, { format: 'pbf' }, (err) => {
+                assert.ok(err instanceof MapnikBackend.errors.InvalidRequestError);
+                assert.equal(err.message, 'Invalid format for the tile matrix set: pbf tiles require EPSG:3857');
+                source.close(done);
+            });
+        });
+    });
+
+    it('getTile() slices metatiles into vector tiles', function(done) {
+        createSource({ format: 'mvt', metatile: 2 }, (err, source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source.getTile(1, 0, 0, (err, tile, headers) => {
+                if (err) {
+                    return done(err);
+                }
+
+                assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+
+                source.getTile(1, 1, 1, (err, tile, headers) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+
+                    const vtile = new MapnikBackend.mapnik.VectorTile(1, 1, 1);
+                    vtile.setData(tile);
+                    assert.deepEqual(vtile.names(), [ 'world' ]);
+
+                    source.close(done);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,186 @@
+const assert = require('assert');
+const createSeeder = require('../lib/seeder');
+const createTileMatrixSet = require('../lib/tile-matrix-set');
+
+describe('seeder', function() {
+    const config = { tileSize: 256, metatile: 2, tileMatrixSet: createTileMatrixSet() };
+
+    function createSource (renderTime = 0) {
+        return {
+            open: true,
+            renders: [],
+            _renderMetatile (format, z, x, y, metatile, renderOptions, mapPool, priority, status, callback) {
+                this.renders.push({ format, z, x, y, priority });
+
+                const tiles = {};
+                metatile.tiles.forEach((coords) => {
+                    tiles[coords.join(',')] = { image: `${format}:${coords.join('/')}`, headers: {} };
+                });
+
+                setTimeout(() => callback(null, tiles), renderTime);
+            }
+        };
+    }
+
+    function createSink () {
+        return {
+            tiles: [],
+            putTile (tile, callback) {
+                this.tiles.push(tile);
+                setImmediate(callback);
+            }
+        };
+    }
+
+    it('renders every metatile once and hands its tiles to the sink', function(done) {
+        const source = createSource();
+        const sink = createSink();
+        const seeder = createSeeder(source, { minzoom: 0, maxzoom: 2, formats: [ 'png', 'utf' ] }, sink, config);
+
+        seeder.on('error', done);
+        seeder.on('end', (stats) => {
+            assert.deepEqual(stats, { tiles: 42, metatiles: 12, elapsed: stats.elapsed, aborted: false });
+            assert.equal(source.renders.length, 12);
+            assert.equal(sink.tiles.length, 42);
+            assert.deepEqual(sink.tiles[0], { format: 'png', z: 0, x: 0, y: 0, image: 'png:0/0/0', headers: {} });
+            assert.deepEqual(sink.tiles[1], { format: 'utf', z: 0, x: 0, y: 0, image: 'utf:0/0/0', headers: {} });
+            done();
+        });
+    });
+
+    it('emits progress with an ETA', function(done) {
+        const seeder = createSeeder(createSource(), { minzoom: 1, maxzoom: 2, formats: 'png' }, createSink(), config);
+        const progress = [];
+
+        seeder.on('progress', (event) => progress.push(event));
+        seeder.on('error', done);
+        seeder.on('end', () => {
+            assert.deepEqual(progress.map(({ tiles }) => tiles), [ 4, 8, 12, 16, 20 ]);
+            assert.deepEqual(progress.map(({ metatiles }) => metatiles), [ 1, 2, 3, 4, 5 ]);
+            progress.forEach(({ totalTiles, totalMetatiles, eta }) => {
+                assert.equal(totalTiles, 20);
+                assert.equal(totalMetatiles, 5);
+                assert.ok(eta >= 0);
+            });
+            assert.equal(progress[4].eta, 0);
+            done();
+        });
+    });
+
+    it('renders metatiles concurrently', function(done) {
+        const source = createSource(10);
+        const seeder = createSeeder(source, { minzoom: 2, maxzoom: 2, formats: 'png', concurrency: 4 }, createSink(), config);
+        let rendering = 0;
+
+        seeder.on('progress', () => rendering = Math.max(rendering, source.renders.length));
+        seeder.on('error', done);
+        seeder.on('end', () => {
+            assert.equal(rendering, 4);
+            done();
+        });
+    });
+
+    it('renders at low priority by default', function(done) {
+        const source = createSource();
+        const seeder = createSeeder(source, { minzoom: 0, maxzoom: 1, formats: 'png' }, createSink(), config);
+
+        seeder.on('error', done);
+        seeder.on('end', () => {
+            assert.deepEqual(source.renders.map(({ priority }) => priority), [ 'low', 'low' ]);
+
+            const highSource = createSource();
+            const highSeeder = createSeeder(highSource, { minzoom: 0, maxzoom: 0, formats: 'png', priority: 'high' }, createSink(), config);
+
+            highSeeder.on('error', done);
+            highSeeder.on('end', () => {
+                assert.equal(highSource.renders[0].priority, 'high');
+                done();
+            });
+        });
+    });
+
+    it('pauses and resumes', function(done) {
+        const source = createSource();
+        const sink = createSink();
+        const seeder = createSeeder(source, { minzoom: 0, maxzoom: 2, formats: 'png' }, sink, config);
+
+        seeder.once('progress', () => {
+            seeder.pause();
+
+            setTimeout(() => {
+                assert.equal(source.renders.length, 1);
+                seeder.resume();
+            }, 20);
+        });
+
+        seeder.on('error', done);
+        seeder.on('end', ({ tiles, aborted }) => {
+            assert.equal(tiles, 21);
+            assert.equal(aborted, false);
+            assert.equal(source.renders.length, 6);
+            done();
+        });
+    });
+
+    it('aborts', function(done) {
+        const source = createSource();
+        const sink = createSink();
+        const seeder = createSeeder(source, { minzoom: 0, maxzoom: 2, formats: 'png' }, sink, config);
+
+        seeder.once('progress', () => seeder.abort());
+        seeder.on('error', done);
+        seeder.on('end', ({ tiles, aborted }) => {
+            assert.equal(aborted, true);
+            assert.equal(tiles, 1);
+            assert.equal(sink.tiles.length, 1);
+            done();
+        });
+    });
+
+    it('stops on sink errors', function(done) {
+        const source = createSource();
+        const sink = { putTile: (tile, callback) => callback(new Error('Disk full')) };
+        const seeder = createSeeder(source, { minzoom: 0, maxzoom: 2, formats: 'png' }, sink, config);
+
+        seeder.on('end', () => done(new Error('should not end')));
+        seeder.on('error', (err) => {
+            assert.equal(err.message, 'Disk full');
+            setTimeout(() => {
+                assert.equal(source.renders.length, 1);
+                done();
+            }, 20);
+        });
+    });
+
+    const invalid = [
+        { desc: 'a sink without putTile', options: { minzoom: 0, maxzoom: 0 }, sink: {}, message: /requires a sink/ },
+        { desc: 'resume without hasTile', options: { minzoom: 0, maxzoom: 0, resume: true }, message: /implementing hasTile/ },
+        { desc: 'a bad bbox', options: { minzoom: 0, maxzoom: 0, bbox: [ 10, 0, 0, 10 ] }, message: /bbox/ },
+        { desc: 'a bad zoom range', options: { minzoom: 3, maxzoom: 1 }, message: /maxzoom: 1/ },
+        { desc: 'no formats', options: { minzoom: 0, maxzoom: 0, formats: [] }, message: /formats/ },
+        { desc: 'an unknown format', options: { minzoom: 0, maxzoom: 0, formats: [ 'png', 'gif' ] }, message: /Invalid format: gif/ },
+        { desc: 'a bad concurrency', options: { minzoom: 0, maxzoom: 0, formats: 'png', concurrency: 0 }, message: /concurrency: 0/ },
+        { desc: 'a bad priority', options: { minzoom: 0, maxzoom: 0, formats: 'png', priority: 'urgent' }, message: /Invalid seed option priority: urgent/ }
+    ];
+
+    invalid.forEach(({ desc, options, sink, message }) => {
+        it(`fails with ${desc}`, function(done) {
+            const seeder = createSeeder(createSource(), options, sink || createSink(), config);
+
+            seeder.on('error', (err) => {
+                assert.ok(message.test(err.message), err.message);
+                done();
+            });
+        });
+    });
+
+    it('fails when the source is closed', function(done) {
+        const source = Object.assign(createSource(), { open: false });
+        const seeder = createSeeder(source, { minzoom: 0, maxzoom: 0, formats: 'png' }, createSink(), config);
+
+        seeder.on('error', (err) => {
+            assert.equal(err.message, 'Tileset is not open');
+            done();
+        });
+    });
+});
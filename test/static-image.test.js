@@ -0,0 +1,66 @@
+const assert = require('assert');
+const normalizeStaticOptions = require('../lib/static-image');
+
+describe('static image options', function() {
+    const FULL = 20037508.342789244;
+    const defaults = { format: 'png', scale: 1, variables: { color: 'red' } };
+
+    it('resolves center and zoom', function() {
+        const params = normalizeStaticOptions({ center: [ 0, 0 ], zoom: 0, width: 256, height: 256 }, defaults);
+
+        assert.equal(params.width, 256);
+        assert.equal(params.height, 256);
+        assert.equal(params.format, 'png');
+        assert.equal(params.scale, 1);
+        assert.deepEqual(params.variables, { color: 'red', zoom: 0 });
+        params.bbox.forEach((value, index) => {
+            assert.ok(Math.abs(value - [ -FULL, -FULL, FULL, FULL ][index]) < 1e-6);
+        });
+    });
+
+    it('resolves bbox', function() {
+        const params = normalizeStaticOptions({ bbox: [ -180, -85.0511287798, 180, 85.0511287798 ], width: 512, height: 512 }, defaults);
+
+        assert.ok(Math.abs(params.bbox[0] + FULL) < 1e-6);
+        assert.ok(Math.abs(params.bbox[3] - FULL) < 1e-2);
+        assert.ok(Math.abs(params.variables.zoom - 1) < 1e-6);
+    });
+
+    it('overrides defaults and scales the image size', function() {
+        const params = normalizeStaticOptions({
+            center: [ 0, 0 ],
+            zoom: 2,
+            width: 100,
+            height: 50,
+            format: 'jpeg',
+            scale: 2,
+            variables: { color: 'blue' }
+        }, defaults);
+
+        assert.equal(params.width, 200);
+        assert.equal(params.height, 100);
+        assert.equal(params.format, 'jpeg');
+        assert.equal(params.scale, 2);
+        assert.deepEqual(params.variables, { color: 'blue', zoom: 2 });
+        assert.deepEqual(defaults.variables, { color: 'red' });
+    });
+
+    const invalid = [
+        { desc: 'missing size', options: { center: [ 0, 0 ], zoom: 0 }, message: /Invalid static image size/ },
+        { desc: 'negative size', options: { center: [ 0, 0 ], zoom: 0, width: -1, height: 10 }, message: /Invalid static image size/ },
+        { desc: 'grid format', options: { center: [ 0, 0 ], zoom: 0, width: 10, height: 10, format: 'utf' }, message: /Invalid static image format/ },
+        { desc: 'vector format', options: { center: [ 0, 0 ], zoom: 0, width: 10, height: 10, format: 'mvt' }, message: /Invalid static image format/ },
+        { desc: 'unknown format', options: { center: [ 0, 0 ], zoom: 0, width: 10, height: 10, format: 'gif' }, message: /Invalid format: gif/ },
+        { desc: 'negative scale', options: { center: [ 0, 0 ], zoom: 0, width: 10, height: 10, scale: -1 }, message: /Invalid static image scale: -1/ },
+        { desc: 'bad scale', options: { center: [ 0, 0 ], zoom: 0, width: 10, height: 10, scale: 'abc' }, message: /Invalid static image scale: abc/ },
+        { desc: 'inverted bbox', options: { bbox: [ 10, 0, -10, 5 ], width: 10, height: 10 }, message: /Invalid static image bbox/ },
+        { desc: 'bad center', options: { center: [ 'a', 0 ], zoom: 1, width: 10, height: 10 }, message: /Invalid static image center\/zoom/ },
+        { desc: 'no extent', options: { width: 10, height: 10 }, message: /requires either a bbox or a center and zoom/ }
+    ];
+
+    invalid.forEach(({ desc, options, message }) => {
+        it(`throws with ${desc}`, function() {
+            assert.throws(() => normalizeStaticOptions(options, defaults), message);
+        });
+    });
+});
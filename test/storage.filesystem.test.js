@@ -0,0 +1,107 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const FilesystemStorage = require('../lib/storage/filesystem');
+const { createKey } = require('../lib/utils/cache-key');
+const { compressTiles } = require('../lib/utils/compression');
+
+describe('filesystem storage', function() {
+    let storage;
+    let dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tilelive-mapnik-'));
+        storage = new FilesystemStorage({ path: dir });
+    });
+
+    it('requires a path', function() {
+        assert.throws(() => new FilesystemStorage({}), /requires a path/);
+    });
+
+    it('uses a z/x/y layout', function() {
+        assert.equal(storage.filename(createKey('png', 2, 1, 3)), path.join(dir, '2', '1', '3.png'));
+        assert.equal(storage.filename(createKey('utf', 2, 1, 3)), path.join(dir, '2', '1', '3.grid.json'));
+        assert.equal(storage.filename(createKey('mvt', 2, 1, 3)), path.join(dir, '2', '1', '3.pbf'));
+        assert.equal(storage.filename(createKey('jpeg', 2, 1, 3)), path.join(dir, '2', '1', '3.jpg'));
+    });
+
+    it('keeps variants apart', function() {
+        const filenames = [
+            storage.filename(createKey('png', 2, 1, 3)),
+            storage.filename(createKey('png8:m=h', 2, 1, 3)),
+            storage.filename(createKey('png8', 2, 1, 3)),
+            storage.filename(createKey('png', 2, 1, 3, { scale: 2 }))
+        ];
+
+        assert.equal(new Set(filenames).size, 4);
+        assert.ok(/3\.[0-9a-f]{8}\.png$/.test(filenames[1]), filenames[1]);
+        assert.ok(/3\.[0-9a-f]{8}\.png$/.test(filenames[2]), filenames[2]);
+    });
+
+    it('resolves undefined for missing tiles', function() {
+        return storage.get(createKey('png', 0, 0, 0))
+            .then((tile) => assert.equal(tile, undefined));
+    });
+
+    it('stores and reads tiles', function() {
+        const key = createKey('png', 1, 0, 1);
+        const image = Buffer.from('png data');
+        const headers = { 'Content-Type': 'image/png' };
+
+        return storage.set(key, { image, headers })
+            .then(() => storage.get(key))
+            .then((tile) => {
+                assert.deepEqual(tile, { image, headers });
+                assert.ok(fs.existsSync(path.join(dir, '1', '0', '1.png')));
+                assert.deepEqual(fs.readdirSync(path.join(dir, '1', '0')).sort(), [ '1.png', '1.png.headers' ]);
+            });
+    });
+
+    it('stores and reads grids', function() {
+        const key = createKey('utf', 0, 0, 0);
+        const image = { grid: [ ' ' ], keys: [ '' ], data: {} };
+
+        return storage.set(key, { image, headers: { 'Content-Type': 'application/json' } })
+            .then(() => storage.get(key))
+            .then((tile) => assert.deepEqual(tile.image, image));
+    });
+
+    it('reads compressed grids as buffers', function() {
+        const key = createKey('utf', 0, 0, 0);
+        const grid = { grid: [ ' ' ], keys: [ '' ], data: {} };
+
+        return compressTiles({ '0,0,0': { image: grid, headers: {}, stats: {} } }, 'gzip')
+            .then((tiles) => storage.set(key, tiles['0,0,0']).then(() => tiles['0,0,0']))
+            .then((compressed) => storage.get(key).then((tile) => {
+                assert.ok(Buffer.isBuffer(tile.image));
+                assert.deepEqual(tile, { image: compressed.image, headers: compressed.headers });
+                assert.deepEqual(JSON.parse(zlib.gunzipSync(tile.image)), grid);
+            }));
+    });
+
+    it('deletes tiles', function() {
+        const key = createKey('png', 0, 0, 0);
+
+        return storage.set(key, { image: Buffer.from('data'), headers: {} })
+            .then(() => storage.del(key))
+            .then(() => storage.get(key))
+            .then((tile) => assert.equal(tile, undefined))
+            .then(() => storage.del(key));
+    });
+
+    it('clears every tile', function() {
+        const keys = [ createKey('png', 0, 0, 0), createKey('png', 3, 2, 1), createKey('utf', 3, 2, 1) ];
+
+        return Promise.all(keys.map((key) => storage.set(key, { image: Buffer.from('data'), headers: {} })))
+            .then(() => storage.clear())
+            .then(() => Promise.all(keys.map((key) => storage.get(key))))
+            .then((tiles) => tiles.forEach((tile) => assert.equal(tile, undefined)))
+            .then(() => assert.deepEqual(fs.readdirSync(dir), []));
+    });
+
+    it('clears a missing directory', function() {
+        return new FilesystemStorage({ path: path.join(dir, 'missing') }).clear();
+    });
+});
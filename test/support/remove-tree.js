@@ -0,0 +1,27 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Removes a file or a directory with everything under it, like
+// `fs.rmSync(file, { recursive: true, force: true })` on Node 14.14 and later
+module.exports = function removeTree (file) {
+    let stats;
+
+    try {
+        stats = fs.lstatSync(file);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return;
+        }
+
+        throw err;
+    }
+
+    if (stats.isDirectory()) {
+        fs.readdirSync(file).forEach((entry) => removeTree(path.join(file, entry)));
+        return fs.rmdirSync(file);
+    }
+
+    fs.unlinkSync(file);
+};
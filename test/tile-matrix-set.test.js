@@ -0,0 +1,87 @@
+const assert = require('assert');
+const createTileMatrixSet = require('../lib/tile-matrix-set');
+const areValidCoords = require('../lib/utils/coords');
+
+describe('tile matrix set', function() {
+    it('defaults to spherical mercator', function() {
+        const tileMatrixSet = createTileMatrixSet();
+
+        assert.deepEqual(tileMatrixSet.origin, [ -20037508.342789244, 20037508.342789244 ]);
+        assert.equal(tileMatrixSet.resolution(0), 156543.03392804097);
+        assert.deepEqual(tileMatrixSet.matrixSize(0), { width: 1, height: 1 });
+        assert.deepEqual(tileMatrixSet.matrixSize(3), { width: 8, height: 8 });
+        assert.equal(tileMatrixSet.isSphericalMercator(), true);
+    });
+
+    it('supports a 2:1 top level', function() {
+        const tileMatrixSet = createTileMatrixSet('EPSG:4326');
+
+        assert.equal(tileMatrixSet.resolution(0), 0.703125);
+        assert.deepEqual(tileMatrixSet.matrixSize(0), { width: 2, height: 1 });
+        assert.deepEqual(tileMatrixSet.matrixSize(2), { width: 8, height: 4 });
+        assert.equal(tileMatrixSet.isSphericalMercator(), false);
+    });
+
+    it('supports explicit resolutions', function() {
+        const tileMatrixSet = createTileMatrixSet({
+            origin: [ 2000000, 5500000 ],
+            extent: [ 2000000, 1000000, 6500000, 5500000 ],
+            tileSize: 256,
+            resolutions: [ 8192, 4096, 2048 ]
+        });
+
+        assert.equal(tileMatrixSet.resolution(1), 4096);
+        assert.deepEqual(tileMatrixSet.matrixSize(0), { width: 3, height: 3 });
+        assert.deepEqual(tileMatrixSet.matrixSize(2), { width: 9, height: 9 });
+        assert.deepEqual(tileMatrixSet.matrixSize(3), { width: 0, height: 0 });
+    });
+
+    const invalid = [
+        { desc: 'unknown preset', definition: 'EPSG:0', message: /unknown preset EPSG:0/ },
+        { desc: 'missing extent', definition: {}, message: /extent must be/ },
+        { desc: 'bad origin', definition: { extent: [ 0, 0, 1, 1 ], origin: [ 0 ] }, message: /origin must be/ },
+        { desc: 'bad tileSize', definition: { extent: [ 0, 0, 1, 1 ], tileSize: -1 }, message: /tileSize must be/ },
+        { desc: 'bad topLevel', definition: { extent: [ 0, 0, 1, 1 ], topLevel: [ 0, 1 ] }, message: /topLevel must be/ },
+        { desc: 'bad resolutions', definition: { extent: [ 0, 0, 1, 1 ], resolutions: [ 1, 0 ] }, message: /resolutions must be/ }
+    ];
+
+    invalid.forEach(({ desc, definition, message }) => {
+        it(`throws with ${desc}`, function() {
+            assert.throws(() => createTileMatrixSet(definition), message);
+        });
+    });
+
+    describe('tile range', function() {
+        it('covers the tiles intersecting a bbox', function() {
+            const tileMatrixSet = createTileMatrixSet('EPSG:4326');
+
+            assert.deepEqual(tileMatrixSet.tileRange([ -180, -90, 180, 90 ], 1), { minx: 0, miny: 0, maxx: 3, maxy: 1 });
+            assert.deepEqual(tileMatrixSet.tileRange([ 0, 0, 90, 90 ], 1), { minx: 2, miny: 0, maxx: 2, maxy: 0 });
+            assert.deepEqual(tileMatrixSet.tileRange([ 10, 10, 100, 20 ], 1), { minx: 2, miny: 0, maxx: 3, maxy: 0 });
+        });
+
+        it('clamps to the matrix and skips bboxes outside of it', function() {
+            const tileMatrixSet = createTileMatrixSet('EPSG:4326');
+
+            assert.deepEqual(tileMatrixSet.tileRange([ -500, -500, 500, 500 ], 0), { minx: 0, miny: 0, maxx: 1, maxy: 0 });
+            assert.equal(tileMatrixSet.tileRange([ 200, 0, 300, 10 ], 0), null);
+        });
+    });
+
+    describe('coords validation', function() {
+        it('follows the matrix size', function() {
+            const tileMatrixSet = createTileMatrixSet('EPSG:4326');
+
+            areValidCoords({ z: 0, x: 1, y: 0 }, tileMatrixSet);
+            assert.throws(() => areValidCoords({ z: 0, x: 1, y: 0 }), /Coordinates out of range/);
+            assert.throws(() => areValidCoords({ z: 0, x: 0, y: 1 }, tileMatrixSet), /Coordinates out of range/);
+        });
+
+        it('rejects zoom levels without resolution', function() {
+            const tileMatrixSet = createTileMatrixSet({ extent: [ 0, 0, 1000, 1000 ], resolutions: [ 4, 2 ] });
+
+            areValidCoords({ z: 1, x: 1, y: 1 }, tileMatrixSet);
+            assert.throws(() => areValidCoords({ z: 2, x: 0, y: 0 }, tileMatrixSet), /Coordinates out of range/);
+        });
+    });
+});
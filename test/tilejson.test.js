@@ -0,0 +1,80 @@
+const assert = require('assert');
+const createTileJSON = require('../lib/tilejson');
+
+describe('tilejson', function() {
+    function makeMap (parameters, layers = []) {
+        return {
+            parameters,
+            layers: () => layers
+        };
+    }
+
+    it('uses defaults when there are no parameters', function() {
+        const info = createTileJSON(makeMap({}), 'png');
+
+        assert.equal(info.tilejson, '3.0.0');
+        assert.equal(info.scheme, 'xyz');
+        assert.equal(info.format, 'png');
+        assert.deepEqual(info.tiles, [ '{z}/{x}/{y}.png' ]);
+        assert.equal(info.minzoom, 0);
+        assert.equal(info.maxzoom, 22);
+        assert.deepEqual(info.bounds, [ -180, -85.05112877980659, 180, 85.05112877980659 ]);
+        assert.deepEqual(info.center, [ 0, 0, 0 ]);
+        assert.deepEqual(info.vector_layers, []);
+    });
+
+    it('parses map parameters', function() {
+        const info = createTileJSON(makeMap({
+            name: 'world',
+            attribution: 'Natural Earth',
+            bounds: '-10,-20,10,20',
+            center: '1.5,2.5,3',
+            minzoom: '2',
+            maxzoom: 8,
+            template: '<b>{{NAME}}</b>',
+            interactivity_layer: 'world',
+            interactivity_fields: 'NAME,ISO'
+        }), 'jpeg80');
+
+        assert.equal(info.name, 'world');
+        assert.equal(info.attribution, 'Natural Earth');
+        assert.equal(info.format, 'jpeg80');
+        assert.deepEqual(info.bounds, [ -10, -20, 10, 20 ]);
+        assert.deepEqual(info.center, [ 1.5, 2.5, 3 ]);
+        assert.equal(info.minzoom, 2);
+        assert.equal(info.maxzoom, 8);
+        assert.equal(info.template, '<b>{{NAME}}</b>');
+        assert.equal(info.interactivity_layer, 'world');
+        assert.deepEqual(info.interactivity_fields, [ 'NAME', 'ISO' ]);
+    });
+
+    it('builds the tiles from the format, the parameters or the URI', function() {
+        assert.deepEqual(createTileJSON(makeMap({}), 'mvt').tiles, [ '{z}/{x}/{y}.pbf' ]);
+        assert.deepEqual(createTileJSON(makeMap({ tiles: 'https://a.example.com/{z}/{x}/{y}.png,https://b.example.com/{z}/{x}/{y}.png' }), 'png').tiles, [
+            'https://a.example.com/{z}/{x}/{y}.png',
+            'https://b.example.com/{z}/{x}/{y}.png'
+        ]);
+        assert.deepEqual(createTileJSON(makeMap({ tiles: 'https://a.example.com/{z}/{x}/{y}.png' }), 'png', [ 'https://c.example.com/{z}/{x}/{y}.png' ]).tiles, [
+            'https://c.example.com/{z}/{x}/{y}.png'
+        ]);
+    });
+
+    it('computes the center from the bounds', function() {
+        const info = createTileJSON(makeMap({ bounds: '0,0,10,20', minzoom: 3 }), 'png');
+
+        assert.deepEqual(info.center, [ 5, 10, 3 ]);
+    });
+
+    it('derives vector_layers from the map layers', function() {
+        const layers = [
+            { name: 'world', datasource: { describe: () => ({ fields: { NAME: 'String', POP: 'Number' } }) } },
+            { name: 'empty', datasource: null }
+        ];
+        const info = createTileJSON(makeMap({ minzoom: 1, maxzoom: 5 }, layers), 'mvt');
+
+        assert.deepEqual(info.vector_layers, [
+            { id: 'world', description: '', minzoom: 1, maxzoom: 5, fields: { NAME: 'String', POP: 'Number' } },
+            { id: 'empty', description: '', minzoom: 1, maxzoom: 5, fields: {} }
+        ]);
+    });
+});
@@ -26,6 +26,21 @@ describe('Timeout', function () {
             source.getTile(coords[0], coords[1], coords[2], function (err) {
                 assert.ok(err);
                 assert.equal('Render timed out', err.message);
+                assert.equal(err.code, 'ETIMEDOUT');
+                assert.equal(err.status, 504);
+                source.close(done);
+            });
+        });
+    });
+
+    it('should fire timeout for static images', function (done) {
+        new MapnikBackend(baseUri, function (err, source) {
+            if (err) return done(err);
+            source.getStaticImage({ center: [ 0, 0 ], zoom: 2, width: 1024, height: 1024 }, function (err) {
+                assert.ok(err);
+                assert.equal('Render timed out', err.message);
+                assert.equal(err.code, 'ETIMEDOUT');
+                assert.equal(err.status, 504);
                 source.close(done);
             });
         });
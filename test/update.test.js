@@ -0,0 +1,258 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('./support/assert');
+const MapnikBackend = require('..');
+
+const worldXml = fs.readFileSync('./test/data/world.xml', 'utf8');
+const labelsXml = fs.readFileSync('./test/data/world_labels.xml', 'utf8');
+const badXml = fs.readFileSync('./test/data/world_bad.xml', 'utf8');
+
+describe('update', function() {
+    let source;
+    let storage;
+
+    beforeEach(function(done) {
+        storage = new MapnikBackend.FilesystemStorage({
+            path: fs.mkdtempSync(path.join(os.tmpdir(), 'tilelive-mapnik-'))
+        });
+
+        const uri = {
+            protocol: 'mapnik:',
+            xml: worldXml,
+            base: './test/data/',
+            query: {
+                metatile: 2,
+                poolSize: 2,
+                metatileCache: { ttl: 60000, storage }
+            }
+        };
+
+        new MapnikBackend(uri, (err, _source) => {
+            if (err) {
+                return done(err);
+            }
+
+            source = _source;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        source.close(done);
+    });
+
+    it('renders with the new style', function(done) {
+        source.getTile(1, 0, 0, (err, before) => {
+            assert.ifError(err);
+
+            source.update(labelsXml, (err) => {
+                assert.ifError(err);
+
+                source.getTile(1, 0, 0, (err, after, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+                    assert.notDeepEqual(after, before);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('clears the persistent storage', function(done) {
+        source.getTile(1, 0, 0, (err) => {
+            assert.ifError(err);
+
+            source.update(labelsXml, (err) => {
+                assert.ifError(err);
+
+                storage.get('png,1,0,0').then((tile) => {
+                    assert.equal(tile, undefined);
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+
+    it('finishes requests started before the update with the previous style', function(done) {
+        let tile;
+        let pending = 2;
+
+        // Once back to the previous style, a fresh render must match the tile
+        // requested while updating.
+        const next = () => {
+            if (--pending > 0) {
+                return;
+            }
+
+            source.update(worldXml, (err) => {
+                assert.ifError(err);
+
+                source.getTile(2, 0, 0, (err, sameTile) => {
+                    assert.ifError(err);
+                    assert.deepEqual(sameTile, tile);
+                    done();
+                });
+            });
+        };
+
+        source.getTile(2, 0, 0, (err, _tile, headers) => {
+            assert.ifError(err);
+            assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+            tile = _tile;
+            next();
+        });
+
+        source.update(labelsXml, (err) => {
+            assert.ifError(err);
+            next();
+        });
+    });
+
+    it('clears the tiles stored by requests started before the update', function(done) {
+        source.getTile(2, 0, 0, (err) => {
+            assert.ifError(err);
+        });
+
+        source.update(labelsXml, (err) => {
+            assert.ifError(err);
+
+            storage.get('png,2,0,0').then((tile) => {
+                assert.equal(tile, undefined);
+
+                source.getTile(2, 0, 0, (err, tile, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+                    done();
+                });
+            }).catch(done);
+        });
+    });
+
+    it('finishes low priority requests waiting for a map with the previous style', function(done) {
+        let pending = 3;
+        const next = (err) => {
+            assert.ifError(err);
+
+            if (--pending === 0) {
+                done();
+            }
+        };
+
+        // a single map is left to the low priority lane
+        source.close((err) => {
+            assert.ifError(err);
+
+            const uri = {
+                protocol: 'mapnik:',
+                xml: worldXml,
+                base: './test/data/',
+                query: { metatile: 2, poolSize: 2, poolReserved: 1 }
+            };
+
+            new MapnikBackend(uri, (err, _source) => {
+                assert.ifError(err);
+                source = _source;
+
+                source.getTile(2, 0, 0, { priority: 'low' }, next);
+                source.getTile(2, 3, 3, { priority: 'low' }, next);
+                source.update(labelsXml, next);
+            });
+        });
+    });
+
+    it('keeps the previous style when the new one is invalid', function(done) {
+        source.getTile(1, 0, 0, (err) => {
+            assert.ifError(err);
+
+            source.update(badXml, (err) => {
+                assert.ok(err);
+                assert.ok((err.message.search('invalid closing tag') !== -1) || (err.message.search('XML document not well formed') !== -1));
+
+                // sibling tile rendered along with the first one is still cached
+                source.getTile(1, 1, 0, (err, tile, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Carto-Metatile-Cache'], 'HIT');
+                    done();
+                });
+            });
+        });
+    });
+
+    it('fails while another update is in progress', function(done) {
+        source.update(labelsXml, (err) => {
+            assert.ifError(err);
+            done();
+        });
+
+        source.update(labelsXml, (err) => {
+            assert.equal(err.message, 'Tileset is already being updated');
+        });
+    });
+
+    it('requires the XML', function(done) {
+        source.update(undefined, (err) => {
+            assert.equal(err.message, 'No XML provided');
+            done();
+        });
+    });
+
+    it('fails and destroys its maps when the source is closed while updating', function(done) {
+        const previousMapPool = source._mapPool;
+        let closed = false;
+
+        source.update(labelsXml, (err) => {
+            assert.ok(err instanceof MapnikBackend.errors.UnavailableError);
+            assert.equal(err.message, 'Tileset was closed while updating');
+            assert.strictEqual(source._mapPool, previousMapPool);
+            assert.equal(closed, true);
+            done();
+        });
+
+        source.close((err) => {
+            assert.ifError(err);
+            assert.equal(source.open, false);
+            closed = true;
+        });
+    });
+
+    it('emits the failures clearing the storage apart from the update', function(done) {
+        const failure = new Error('storage unavailable');
+        let emitted;
+
+        storage.clear = () => Promise.reject(failure);
+        source.on('error', (err, details) => {
+            emitted = { err, details };
+        });
+
+        source.getTile(1, 0, 0, (err) => {
+            assert.ifError(err);
+
+            source.update(labelsXml, (err) => {
+                assert.ifError(err);
+                assert.strictEqual(emitted.err, failure);
+                assert.deepEqual(emitted.details, { update: true });
+
+                // the storage may hold tiles of the previous style
+                source.getTile(1, 0, 0, (err, tile, headers) => {
+                    assert.ifError(err);
+                    assert.equal(headers['Carto-Metatile-Cache'], 'MISS');
+                    done();
+                });
+            });
+        });
+    });
+
+    it('fails when the source is closed', function(done) {
+        new MapnikBackend({ xml: worldXml, base: './test/data/' }, (err, closed) => {
+            assert.ifError(err);
+
+            closed.close(() => {
+                closed.update(labelsXml, (err) => {
+                    assert.equal(err.message, 'Tileset is not open');
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -93,6 +93,96 @@ describe('uri query options', function() {
         });
     });
 
+    describe('metatileCache limits', function() {
+        it('defaults to no limits', function() {
+            const uri = normalizeURI({ query: {} });
+
+            assert.equal(uri.query.metatileCache.maxEntries, 0);
+            assert.equal(uri.query.metatileCache.maxBytes, 0);
+        });
+
+        it('parses limits', function() {
+            const uri = normalizeURI({ query: { metatileCache: { maxEntries: '100', maxBytes: 1048576 } } });
+
+            assert.equal(uri.query.metatileCache.maxEntries, 100);
+            assert.equal(uri.query.metatileCache.maxBytes, 1048576);
+        });
+    });
+
+    describe('variables', function() {
+        it('parses variables given as JSON', function() {
+            const uri = normalizeURI('mapnik:///world.xml?variables={"lang":"es"}');
+
+            assert.deepEqual(uri.query.variables, { lang: 'es' });
+        });
+    });
+
+    describe('map pool lifecycle', function() {
+        it('defaults to maps created on demand and kept forever', function() {
+            const { query } = normalizeURI({ query: {} });
+
+            assert.equal(query.poolMin, 0);
+            assert.equal(query.poolMaxRenders, 0);
+            assert.equal(query.poolMaxAge, 0);
+            assert.equal(query.poolIdleTimeout, 0);
+            assert.equal(query.poolEvictionInterval, 0);
+        });
+
+        it('checks idle maps as often as they time out by default', function() {
+            const { query } = normalizeURI('mapnik:///world.xml?poolMin=2&poolMaxRenders=1000&poolIdleTimeout=60000');
+
+            assert.equal(query.poolMin, 2);
+            assert.equal(query.poolMaxRenders, 1000);
+            assert.equal(query.poolIdleTimeout, 60000);
+            assert.equal(query.poolEvictionInterval, 60000);
+        });
+
+        it('parses the eviction interval', function() {
+            const { query } = normalizeURI('mapnik:///world.xml?poolIdleTimeout=60000&poolEvictionInterval=5000');
+
+            assert.equal(query.poolEvictionInterval, 5000);
+        });
+    });
+
+    describe('poolMaxWait', function() {
+        it('defaults to no budget', function() {
+            assert.equal(normalizeURI({ query: {} }).query.poolMaxWait, 0);
+        });
+
+        it('parses a number of ms', function() {
+            assert.equal(normalizeURI('mapnik:///world.xml?poolMaxWait=500').query.poolMaxWait, 500);
+        });
+    });
+
+    describe('poolLayerSubsets', function() {
+        it('keeps 8 pools by default', function() {
+            assert.equal(normalizeURI({ query: {} }).query.poolLayerSubsets, 8);
+        });
+
+        it('parses a number of pools', function() {
+            assert.equal(normalizeURI('mapnik:///world.xml?poolLayerSubsets=2').query.poolLayerSubsets, 2);
+        });
+    });
+
+    describe('tiles', function() {
+        it('makes a list of one or more URL templates', function() {
+            assert.deepEqual(normalizeURI('mapnik:///world.xml?tiles=https://example.com/{z}/{x}/{y}.png').query.tiles, [ 'https://example.com/{z}/{x}/{y}.png' ]);
+            assert.deepEqual(normalizeURI('mapnik:///world.xml?tiles=a/{z}/{x}/{y}.png&tiles=b/{z}/{x}/{y}.png').query.tiles, [ 'a/{z}/{x}/{y}.png', 'b/{z}/{x}/{y}.png' ]);
+        });
+    });
+
+    describe('maxAge', function() {
+        it('parses zoom ranges given as JSON', function() {
+            const uri = normalizeURI('mapnik:///world.xml?maxAge={"0-8":86400,"9-22":600}');
+
+            assert.deepEqual(uri.query.maxAge, { '0-8': 86400, '9-22': 600 });
+        });
+
+        it('keeps a number of seconds', function() {
+            assert.equal(normalizeURI('mapnik:///world.xml?maxAge=3600').query.maxAge, '3600');
+        });
+    });
+
     describe('metrics', function() {
         function makeUri(metrics) {
             const uri = {
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { interactivityLayers, selectInteractivityLayers, mergeGrids } = require('../lib/utfgrid');
+
+describe('utfgrid', function() {
+    describe('interactivity layers', function() {
+        it('reads a single layer', function() {
+            assert.deepEqual(interactivityLayers({ interactivity_layer: 'world', interactivity_fields: 'NAME,ISO' }), {
+                world: [ 'NAME', 'ISO' ]
+            });
+        });
+
+        it('reads fields per layer', function() {
+            const parameters = {
+                interactivity_layer: 'admin,pois,roads',
+                interactivity_fields: 'name',
+                'interactivity_fields.pois': 'name,kind',
+                'interactivity_fields.roads': ''
+            };
+
+            assert.deepEqual(interactivityLayers(parameters), { admin: [ 'name' ], pois: [ 'name', 'kind' ] });
+        });
+
+        it('selects all layers by default', function() {
+            const parameters = { interactivity_layer: 'admin,pois', interactivity_fields: 'name' };
+
+            assert.deepEqual(selectInteractivityLayers(parameters), [
+                { layer: 'admin', fields: [ 'name' ] },
+                { layer: 'pois', fields: [ 'name' ] }
+            ]);
+            assert.deepEqual(selectInteractivityLayers(parameters, [ 'pois' ]), [ { layer: 'pois', fields: [ 'name' ] } ]);
+        });
+
+        it('fails without interactivity', function() {
+            assert.throws(() => selectInteractivityLayers({ interactivity_layer: 'world' }), /Tileset has no interactivity/);
+        });
+
+        it('fails with unknown layers', function() {
+            const parameters = { interactivity_layer: 'world', interactivity_fields: 'NAME' };
+
+            assert.throws(() => selectInteractivityLayers(parameters, [ 'pois' ]), /Unknown interactivity layer: pois/);
+        });
+    });
+
+    describe('merge', function() {
+        it('prefixes keys and keeps the top most feature', function() {
+            const admin = {
+                grid: [ '!!', '# ' ],
+                keys: [ '', 'es', 'pt' ],
+                data: { es: { name: 'Spain' }, pt: { name: 'Portugal' } }
+            };
+            const pois = {
+                grid: [ ' !', '  ' ],
+                keys: [ '', '7' ],
+                data: { 7: { name: 'Madrid' } }
+            };
+
+            assert.deepEqual(mergeGrids([ { layer: 'admin', grid: admin }, { layer: 'pois', grid: pois } ]), {
+                grid: [ '!#', '$ ' ],
+                keys: [ '', 'admin:es', 'pois:7', 'admin:pt' ],
+                data: {
+                    'admin:es': { name: 'Spain' },
+                    'pois:7': { name: 'Madrid' },
+                    'admin:pt': { name: 'Portugal' }
+                }
+            });
+        });
+
+        it('skips the characters UTFGrid does not use', function() {
+            const keys = [ '' ];
+            let line = '';
+
+            for (let id = 1; id < 100; id++) {
+                keys.push(String(id));
+                line += String.fromCharCode(id + 32 + (id + 32 >= 34) + (id + 33 >= 92));
+            }
+
+            const merged = mergeGrids([ { layer: 'a', grid: { grid: [ line ], keys, data: {} } } ]);
+
+            assert.equal(merged.grid[0], line);
+            assert.equal(merged.keys[99], 'a:99');
+        });
+    });
+});